@@ -0,0 +1,379 @@
+/**
+ * AURORA Task Tracker - Quick Add Parser
+ * Turns a typed phrase into task fields, e.g.
+ *   "report fri #work !p1"       -> text "report", next Friday, tag work, priority 1
+ *   "read 30m every weekday"     -> text "read", 30 minute estimate, repeats on weekdays
+ *   "call mom on Oct 24"         -> text "call mom", 24 October
+ *
+ * It has no DOM or app dependencies, so it can be used (and tested) on its own:
+ *   const parser = new AuroraQuickAddParser({ locale: 'en-GB', weekStart: 1 });
+ *   parser.parse('gym tomorrow', { today: new Date() });
+ *
+ * Weekday and month names and relative dates ("morgen", "in 3 Tagen", "nächste
+ * Woche") are recognised in the given locale as well as English, and numeric dates
+ * like 10/24 (or 24.10. in locales that write dates with dots) follow the locale's
+ * day/month order. Recurrence keywords ("every",
+ * "daily") are English only. Text in double quotes is never parsed.
+ *
+ * parse() returns { text, date, tags, project, priority, estimate, recurrence }:
+ *   date        explicit target date (local midnight) or null
+ *   estimate    minutes or null
+ *   recurrence  a rule in the app's shape ({ freq, interval, weekdays, monthDay,
+ *               until, count }) or null
+ */
+
+// Unicode-aware word edges (\b only understands ASCII)
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+
+class AuroraQuickAddParser {
+    constructor(options = {}) {
+        this.locale = options.locale || 'en-US';
+        this.weekStart = options.weekStart === undefined ? 1 : options.weekStart;
+        this.weekdayAbbreviations = new Set();
+        this.weekdayNames = this.buildNames('weekday');
+        this.monthNames = this.buildNames('month');
+        this.relativeWords = this.buildRelativeWords();
+        this.dayFirst = this.isDayFirst();
+        this.dotDates = this.writesDatesWithDots();
+    }
+
+    // Map of lower-cased name -> index (weekday: 0 = Sunday, month: 0 = January)
+    buildNames(unit) {
+        const names = new Map();
+        const count = unit === 'weekday' ? 7 : 12;
+
+        new Set([this.locale, 'en-US']).forEach(locale => {
+            ['long', 'short'].forEach(width => {
+                let format;
+                try {
+                    format = new Intl.DateTimeFormat(locale, { [unit]: width });
+                } catch (error) {
+                    return;
+                }
+
+                for (let i = 0; i < count; i++) {
+                    // 7 January 2024 was a Sunday, so weekday i lands on getDay() === i
+                    const date = unit === 'weekday' ? new Date(2024, 0, 7 + i) : new Date(2024, i, 1);
+                    const name = format.format(date).toLocaleLowerCase(locale).replace(/\.$/, '');
+
+                    // Two-letter abbreviations ("do", "mi") collide with ordinary words
+                    if (name.length >= 3 && !names.has(name)) {
+                        names.set(name, i);
+                        if (unit === 'weekday' && width === 'short') this.weekdayAbbreviations.add(name);
+                    }
+                }
+            });
+        });
+
+        // English abbreviations people type that Intl doesn't produce
+        const extras = unit === 'weekday' ?
+            [['tues', 2], ['weds', 3], ['thur', 4], ['thurs', 4]] :
+            [['sept', 8]];
+        extras.forEach(([name, index]) => {
+            if (names.has(name)) return;
+            names.set(name, index);
+            if (unit === 'weekday') this.weekdayAbbreviations.add(name);
+        });
+
+        return names;
+    }
+
+    // Relative date words in the locale and English, from Intl.RelativeTimeFormat:
+    // { days: Map of word -> day offset, nextWeek / nextMonth: Sets of phrases,
+    //   amounts: { day, week, month } -> { prefixes, suffixes } around the number in "in 3 days" }
+    buildRelativeWords() {
+        const words = { days: new Map(), nextWeek: new Set(), nextMonth: new Set(), amounts: {} };
+        ['day', 'week', 'month'].forEach(unit => {
+            words.amounts[unit] = { prefixes: new Set(), suffixes: new Set() };
+        });
+
+        new Set([this.locale, 'en-US']).forEach(locale => {
+            let named;
+            let numeric;
+            try {
+                named = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+                numeric = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+            } catch (error) {
+                return;
+            }
+            const lower = (text) => text.toLocaleLowerCase(locale);
+
+            // Only named days like "tomorrow"; "in 2 days" is covered by the amounts below
+            [0, 1, 2].forEach(offset => {
+                const word = lower(named.format(offset, 'day'));
+                if (!/\d/.test(word) && !words.days.has(word)) words.days.set(word, offset);
+            });
+            words.nextWeek.add(lower(named.format(1, 'week')));
+            words.nextMonth.add(lower(named.format(1, 'month')));
+
+            // Several counts, since the unit's plural form can change with the number
+            Object.entries(words.amounts).forEach(([unit, { prefixes, suffixes }]) => {
+                [1, 2, 3, 5, 11, 21].forEach(count => {
+                    const parts = numeric.formatToParts(count, unit);
+                    const index = parts.findIndex(part => part.type === 'integer');
+                    if (index === -1) return;
+                    prefixes.add(lower(parts.slice(0, index).map(part => part.value).join('')));
+                    suffixes.add(lower(parts.slice(index + 1).map(part => part.value).join('')));
+                });
+            });
+        });
+
+        // English shorthands Intl doesn't produce
+        [['tod', 0], ['tmrw', 1], ['tmr', 1], ['day after tomorrow', 2]].forEach(([word, offset]) => {
+            if (!words.days.has(word)) words.days.set(word, offset);
+        });
+
+        return words;
+    }
+
+    // Whether the locale writes numeric dates day first (24/10) rather than month first (10/24)
+    isDayFirst() {
+        try {
+            const parts = new Intl.DateTimeFormat(this.locale).formatToParts(new Date(2024, 10, 22));
+            const types = parts.map(part => part.type);
+            return types.indexOf('day') < types.indexOf('month');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // de-DE, ru-RU etc. write 22.11.2024; elsewhere "2.5" is a decimal or a version, not a date
+    writesDatesWithDots() {
+        try {
+            return new Intl.DateTimeFormat(this.locale).formatToParts(new Date(2024, 10, 22))
+                .some(part => part.type === 'literal' && part.value.includes('.'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Alternation of names (a Map's keys or a Set), longest first; spaces match any whitespace
+    namePattern(names) {
+        return [...names.keys()]
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+            .join('|');
+    }
+
+    // options.today: reference for relative words; options.defaultDate: fills in
+    // recurrence details when no date is typed (both default to the current day)
+    parse(input, options = {}) {
+        const today = this.startOfDay(options.today || new Date());
+        const defaultDate = this.startOfDay(options.defaultDate || today);
+        const result = { text: '', date: null, tags: [], project: null, priority: null, estimate: null, recurrence: null };
+
+        // Hide quoted text behind placeholders so nothing inside it is parsed
+        const quoted = [];
+        let rest = String(input).replace(/"([^"]*)"/g, (match, inner) => {
+            quoted.push(inner);
+            return `\u0000${quoted.length - 1}\u0000`;
+        });
+
+        // Replace the first (or every) match with a space when the handler accepts it;
+        // a rejected match leaves the text alone and the next match is tried
+        const take = (source, handler, all = false) => {
+            const regex = new RegExp(source, 'giu');
+            let found = false;
+            rest = rest.replace(regex, (...args) => {
+                if (found && !all) return args[0];
+                const accepted = handler(...args) !== false;
+                found = found || accepted;
+                return accepted ? ' ' : args[0];
+            });
+            return found;
+        };
+
+        this.parseRecurrence(take, result);
+
+        take(`(?<=^|\\s)#([\\p{L}\\p{N}_-]+)`, (match, tag) => {
+            const normalized = tag.toLowerCase();
+            if (!result.tags.includes(normalized)) result.tags.push(normalized);
+        }, true);
+
+        take(`(?<=^|\\s)@([\\p{L}\\p{N}_-]+)`, (match, project) => {
+            result.project = project;
+        });
+
+        take(`(?<=^|\\s)!p?([1-4])${WORD_END}`, (match, priority) => {
+            result.priority = Number(priority);
+        });
+
+        this.parseEstimate(take, result);
+        this.parseDate(take, result, today);
+
+        // Fill in recurrence details that depend on the start date
+        if (result.recurrence) {
+            const start = result.date || defaultDate;
+            if (result.recurrence.freq === 'weekly' && !result.recurrence.weekdays) {
+                result.recurrence.weekdays = [start.getDay()];
+            } else if (result.recurrence.freq === 'monthly' && !result.recurrence.monthDay) {
+                result.recurrence.monthDay = start.getDate();
+            }
+        }
+
+        result.text = rest
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => quoted[Number(index)])
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Nothing left to call the task: treat the whole input as plain text
+        if (!result.text) {
+            return { ...result, text: String(input).trim(), date: null, tags: [], project: null,
+                     priority: null, estimate: null, recurrence: null };
+        }
+
+        return result;
+    }
+
+    parseRecurrence(take, result) {
+        const weekday = this.namePattern(this.weekdayNames);
+        const rule = (fields) => {
+            result.recurrence = { freq: 'daily', until: null, count: null, ...fields };
+        };
+
+        const patterns = [
+            [`${WORD_START}(?:every\\s+other\\s+day)${WORD_END}`, () => rule({ freq: 'interval', interval: 2 })],
+            [`${WORD_START}(?:every\\s+other\\s+week)${WORD_END}`, () => rule({ freq: 'interval', interval: 14 })],
+            [`${WORD_START}every\\s+(\\d+)\\s+(days?|weeks?)${WORD_END}`, (match, count, unit) => {
+                const days = Number(count) * (unit.toLowerCase().startsWith('week') ? 7 : 1);
+                if (days < 1) return false;
+                if (days === 1) return rule({ freq: 'daily' });
+                if (days === 7) return rule({ freq: 'weekly' });
+                return rule({ freq: 'interval', interval: days });
+            }],
+            [`${WORD_START}(?:every\\s+(?:week|work)days?|weekdays)${WORD_END}`, () => rule({ freq: 'weekdays' })],
+            [`${WORD_START}(?:every\\s+day|daily)${WORD_END}`, () => rule({ freq: 'daily' })],
+            [`${WORD_START}every\\s+((?:${weekday})(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*|\\s+)(?:${weekday}))*)${WORD_END}`, (match, list) => {
+                const weekdays = [...new Set(list.toLowerCase()
+                    .split(/\s*,\s*|\s+and\s+|\s*&\s*|\s+/)
+                    .map(name => this.weekdayNames.get(name.replace(/\.$/, '')))
+                    .filter(index => index !== undefined))];
+                return rule({ freq: 'weekly', weekdays: weekdays.sort((a, b) => a - b) });
+            }],
+            [`${WORD_START}(?:every\\s+week|weekly)${WORD_END}`, () => rule({ freq: 'weekly' })],
+            [`${WORD_START}(?:every\\s+month|monthly)${WORD_END}`, () => rule({ freq: 'monthly' })]
+        ];
+
+        patterns.some(([source, handler]) => take(source, handler));
+
+        // "every month on the 1st" (or "on the 1st every month") picks the day of the month
+        if (result.recurrence && result.recurrence.freq === 'monthly') {
+            take(`${WORD_START}(?:on\\s+)?the\\s+(\\d{1,2})(?:st|nd|rd|th)?${WORD_END}`, (match, day) => {
+                if (Number(day) < 1 || Number(day) > 31) return false;
+                result.recurrence.monthDay = Number(day);
+            });
+        }
+    }
+
+    parseEstimate(take, result) {
+        // Single-letter units only count attached to the number ("30m"), so "2 m of rope" stays text
+        const hours = '(?:h|\\s*(?:hr|hrs|hour|hours))';
+        const minutes = '(?:m|\\s*(?:min|mins|minute|minutes))';
+
+        take(`${WORD_START}(\\d+(?:[.,]\\d+)?)${hours}(?:\\s*(\\d+)${minutes})?${WORD_END}`, (match, h, m) => {
+            result.estimate = Math.round(parseFloat(h.replace(',', '.')) * 60) + (m ? Number(m) : 0);
+            if (result.estimate <= 0) return false;
+        }) || take(`${WORD_START}(\\d+)${minutes}${WORD_END}`, (match, m) => {
+            if (Number(m) <= 0) return false;
+            result.estimate = Number(m);
+        });
+    }
+
+    parseDate(take, result, today) {
+        const weekday = this.namePattern(this.weekdayNames);
+        const month = this.namePattern(this.monthNames);
+        const { days, nextWeek, nextMonth, amounts } = this.relativeWords;
+        const prefix = '(?:(?:on|by|due)\\s+)?';
+        const ordinal = '(?:st|nd|rd|th)?';
+        const accept = (date) => {
+            if (!date) return false;
+            result.date = date;
+        };
+        const numericDate = (match, a, b, y) => {
+            const [d, m] = this.dayFirst ? [a, b] : [b, a];
+            return accept(this.resolveDayMonth(Number(d), Number(m) - 1, y, today));
+        };
+
+        const patterns = [
+            [`${WORD_START}${prefix}(\\d{4})-(\\d{1,2})-(\\d{1,2})${WORD_END}`, (match, y, m, d) =>
+                accept(this.makeDate(Number(y), Number(m) - 1, Number(d)))],
+            [`${WORD_START}${prefix}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?${WORD_END}`, numericDate],
+            // Dotted dates need the trailing dot ("10.11.") or a year, so "meeting 10.30" stays text
+            ...(this.dotDates ? [[`${WORD_START}${prefix}(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2,4})?${WORD_END}`, numericDate]] : []),
+            [`${WORD_START}${prefix}(${month})\\.?\\s+(\\d{1,2})${ordinal}(?:,?\\s+(\\d{4}))?${WORD_END}`, (match, name, d, y) =>
+                accept(this.resolveDayMonth(Number(d), this.monthNames.get(name.toLowerCase()), y, today))],
+            [`${WORD_START}${prefix}(\\d{1,2})${ordinal}\\.?\\s+(?:of\\s+)?(${month})\\.?(?:,?\\s+(\\d{4}))?${WORD_END}`, (match, d, name, y) =>
+                accept(this.resolveDayMonth(Number(d), this.monthNames.get(name.toLowerCase()), y, today))],
+            [`${WORD_START}(${this.namePattern(days)})${WORD_END}`, (match, word) =>
+                accept(this.addDays(today, days.get(word.toLowerCase().replace(/\s+/g, ' '))))],
+            ...Object.entries(amounts).map(([unit, { prefixes, suffixes }]) => [
+                `${WORD_START}(?:${this.namePattern(prefixes)})\\s*(\\d+)\\s*(?:${this.namePattern(suffixes)})${WORD_END}`,
+                (match, amount) => accept(this.addAmount(today, Number(amount), unit))
+            ]),
+            [`${WORD_START}in\\s+(?:a|an|one)\\s+(day|week|month)${WORD_END}`, (match, unit) =>
+                accept(this.addAmount(today, 1, unit.toLowerCase()))],
+            [`${WORD_START}(?:${this.namePattern(nextWeek)})${WORD_END}`, () => {
+                const diff = (today.getDay() - this.weekStart + 7) % 7;
+                return accept(this.addDays(today, 7 - diff));
+            }],
+            [`${WORD_START}(?:${this.namePattern(nextMonth)})${WORD_END}`, () =>
+                accept(new Date(today.getFullYear(), today.getMonth() + 1, 1))],
+            [`${WORD_START}(?:(on|by|due)\\s+)?(next\\s+)?(${weekday})\\.?${WORD_END}`, (match, on, next, name, offset, string) => {
+                // "sun cream" or "sat exam prep": a bare abbreviation is only a date after
+                // on/by/due/next or at the end of the phrase
+                const atEnd = !string.slice(offset + match.length).trim();
+                if (this.weekdayAbbreviations.has(name.toLowerCase()) && !on && !next && !atEnd) return false;
+
+                const target = this.weekdayNames.get(name.toLowerCase());
+                const ahead = (target - today.getDay() + 7) % 7;
+                return accept(this.addDays(today, ahead + (next ? 7 : 0)));
+            }]
+        ];
+
+        patterns.some(([source, handler]) => take(source, handler));
+    }
+
+    // Day and month with an optional year; without one, past dates roll into next year
+    resolveDayMonth(day, month, yearText, today) {
+        if (month === undefined) return null;
+
+        if (yearText) {
+            const year = Number(yearText) < 100 ? 2000 + Number(yearText) : Number(yearText);
+            return this.makeDate(year, month, day);
+        }
+
+        const date = this.makeDate(today.getFullYear(), month, day);
+        if (date && date < today) return this.makeDate(today.getFullYear() + 1, month, day);
+        return date;
+    }
+
+    // Local midnight, or null for impossible dates like 31 February (clamp instead when asked)
+    makeDate(year, month, day, clamp = false) {
+        if (clamp) {
+            const lastDay = new Date(year, month + 1, 0).getDate();
+            return new Date(year, month, Math.min(day, lastDay));
+        }
+
+        const date = new Date(year, month, day);
+        return date.getMonth() === ((month % 12) + 12) % 12 && date.getDate() === day ? date : null;
+    }
+
+    // unit: 'day', 'week' or 'month'; months keep the day, clamped to the month's length
+    addAmount(date, count, unit) {
+        if (unit === 'month') return this.makeDate(date.getFullYear(), date.getMonth() + count, date.getDate(), true);
+        return this.addDays(date, count * (unit === 'week' ? 7 : 1));
+    }
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+}
+
+// Lets node load the parser directly (tests/quick-add-parser.test.js)
+if (typeof module !== 'undefined' && module.exports) module.exports = AuroraQuickAddParser;
@@ -10,39 +10,198 @@ const raf = window.requestAnimationFrame ||
             window.mozRequestAnimationFrame || 
             function(callback) { setTimeout(callback, 1000/60); };
 
+// Backup file format - bump the version and add an upgrade step when the shape changes
+const BACKUP_SCHEMA_VERSION = 6;
+
+// Shared template files ({ app, type: 'templates', version, templates }) - bump when their shape changes
+const TEMPLATE_FILE_VERSION = 1;
+
+// User preferences stored under 'auroraSettings'
+const DEFAULT_SETTINGS = {
+    weekStart: 1,         // 1 = Monday, 0 = Sunday
+    progressWeight: 'count', // 'count' | 'estimate' | 'priority'
+    rollover: 'off',      // 'off' | 'carry' | 'miss' for pending tasks left on past days
+    rolloverSince: null,  // First date key rollover applies to, set when it's turned on
+    activityRetention: 0, // Days of activity history to keep; 0 keeps everything
+    calendarView: 'week', // 'day' | 'week' | 'month' | 'year'
+    notifications: false, // Deliver reminders as system notifications rather than in-app messages
+    dailySummaryHour: null, // Hour of the "N pending today" notification; null turns it off
+    summarySentOn: null,  // Date key of the last daily summary shown
+    focusMinutes: 25,     // Length of a focus session
+    breakMinutes: 5       // Break after each focus session; 0 skips it
+};
+
+// Reminders are handed to the service worker this many days ahead
+const REMINDER_HORIZON_DAYS = 7;
+
+// Reminders (and the daily summary) that fell due at most this long ago are still shown
+const REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+// Layouts the calendar can switch between, with the unit prev/next moves by
+const CALENDAR_VIEWS = {
+    day: { title: 'Daily Focus', unit: 'Day' },
+    week: { title: 'Weekly Task Overview', unit: 'Week' },
+    month: { title: 'Monthly Overview', unit: 'Month' },
+    year: { title: 'Year at a Glance', unit: 'Year' }
+};
+
+// BroadcastChannel name, and the localStorage key used where BroadcastChannel is missing
+const SYNC_CHANNEL = 'aurora-sync';
+
+// Lists synced between tabs item by item: message type -> tracker property and its save method
+const SYNCED_COLLECTIONS = {
+    recurring: { property: 'recurringTasks', save: 'saveRecurringTasks' },
+    templates: { property: 'templates', save: 'saveTemplates' },
+    reviews: { property: 'weeklyReviews', save: 'saveWeeklyReviews' },
+    activities: { property: 'activities', save: 'saveActivities' }
+};
+
+// Activity history entries rendered per scroll page
+const HISTORY_PAGE_SIZE = 50;
+
+// Progress weight per priority (P1 counts four times as much as P4 or no priority)
+const PRIORITY_WEIGHTS = { 1: 4, 2: 3, 3: 2, 4: 1 };
+
+// Unestimated tasks weigh this much when progress is weighted by estimate
+const DEFAULT_ESTIMATE_MINUTES = 30;
+
+// Categories a missed task's reason can be tagged with (stored as task.missedCategory)
+const MISSED_CATEGORIES = [
+    { id: 'time', label: 'Not enough time', icon: '⏰' },
+    { id: 'energy', label: 'Low energy', icon: '🔋' },
+    { id: 'blocked', label: 'Blocked', icon: '🚧' },
+    { id: 'forgot', label: 'Forgot', icon: '💭' },
+    { id: 'other', label: 'Other', icon: '📌' }
+];
+
+// Day journal scales, stored as journal[dateKey].mood / .energy (1-5)
+const MOOD_LEVELS = [
+    { value: 1, label: 'Awful', icon: '😞' },
+    { value: 2, label: 'Low', icon: '🙁' },
+    { value: 3, label: 'Okay', icon: '😐' },
+    { value: 4, label: 'Good', icon: '🙂' },
+    { value: 5, label: 'Great', icon: '😄' }
+];
+const ENERGY_LEVELS = [1, 2, 3, 4, 5];
+
+// Markup that has already been escaped; html`` returns these so they nest without double escaping
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Tagged template for everything rendered through innerHTML: task text, notes, tags and anything
+// else from storage or an imported backup is escaped. Arrays are joined; null, undefined and false render nothing.
+function html(strings, ...values) {
+    const render = (value) => {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(render).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    };
+    return new SafeHtml(strings.reduce((markup, string, i) => markup + render(values[i - 1]) + string));
+}
+
 class AuroraTaskTracker {
-    constructor() {
+    // options.storage: a store from storage.js (e.g. AuroraMemoryStorage for tests)
+    constructor(options = {}) {
         // Initialize core properties
+        this.settings = { ...DEFAULT_SETTINGS };
         this.currentDate = new Date();
         this.currentWeekStart = this.getWeekStartDate(this.currentDate);
-        this.tasks = this.loadTasks();
+        this.focusDate = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), this.currentDate.getDate()); // Anchor day of the visible period
+        this.storage = options.storage || null;
+        this.tasks = {}; // Filled from storage in init()
         this.currentNoteData = null;
-        this.activities = this.loadActivities();
+        this.journal = {}; // Day notes by date key: { mood, energy, text, updatedAt }
+        this.currentJournalData = null; // { date, mood, energy } while the journal modal is open
+        this.activities = [];
+        this.recurringTasks = [];
+        this.templates = []; // Named day task lists: { id, name, tasks: [{ text, priority, ..., subtasks: [text] }] }
+        this.weeklyReviews = []; // One per ISO week: { id: 'YYYY-Www', weekStart, reflection, goals: [text] }
+        this.reviewWeekStart = null; // Week shown in the weekly review modal
+        this.currentRecurrenceData = null;
+        this.currentEditData = null;
+        this.dragData = null;
+        this.history = this.loadHistory();
+        this.activeCommand = null;
+        this.pendingImport = null;
+        this.selectedMonth = { year: this.currentDate.getFullYear(), month: this.currentDate.getMonth() };
         this.weekCache = new Map(); // Cache for week data
+        this.materializedDates = new Set(); // Date keys already checked for recurring occurrences
+        this.expandedTasks = new Set(); // Task ids whose checklist is open
+        this.renderedMarkup = new WeakMap(); // Day header / task row element -> markup it was built from
+        this.focusSession = this.loadFocusSession(); // { taskId, text, phase: 'focus' | 'break', startedAt, endsAt }
+        this.focusInterval = null;
+        this.searchIndex = null; // dateKey -> [{ task, text }], built on first search
+        this.staleSearchDays = new Set(); // Days changed since they were indexed
         
         // Performance optimization
         this.debounceTimeout = null;
+        this.analyticsTimeout = null;
+        this.rolloverTimeout = null;
+        this.searchTimeout = null;
+        this.reminderTimeout = null;
+        this.swRegistration = null;
+        this.postedReminderSchedule = null; // JSON of the schedule last sent to the service worker
+        this.installPrompt = null; // Deferred beforeinstallprompt event
+        this.updateRequested = false;
+        this.historyEntries = []; // Filtered activities for the open history view
+        this.historyRendered = 0;
+        this.historyLocations = new Map(); // Task id -> current date key, for history links
+        this.syncChannel = null;
+        this.syncReady = false; // Set once loaded, so startup writes aren't announced to other tabs
+        this.syncedStamps = new Map(); // dateKey -> Map(task id -> stamp) as last sent to or merged from other tabs
+        this.syncedCollections = new Map(); // SYNCED_COLLECTIONS type -> Map(item key -> stamp), the same for lists
+        this.lastDayKey = null;
+        this.skippedNotes = new Set(); // Rolled-over tasks whose note prompt was skipped this session
         
-        // Initialize the application
-        this.init();
+        // Initialize the application (resolves once data is loaded and rendered)
+        this.ready = this.init();
     }
 
     // Initialize the application
-    init() {
+    async init() {
         try {
             this.cacheDOMElements();
             this.setupEventListeners();
-            this.renderWeekView();
+            await this.loadData();
+            this.setFocusDate(this.currentDate);
+            this.applyRoute();
+            this.quickAddParser = new AuroraQuickAddParser({ locale: navigator.language, weekStart: this.settings.weekStart });
+            this.setupTabSync();
+            const rolledOver = this.runRollover();
+            this.pruneActivities();
+            this.renderSettings();
+            this.renderCalendar();
             this.renderYearNavigation();
             this.updateStatistics();
             this.updateRecentActivity();
-            this.updateWeekDisplay();
+            this.updatePeriodDisplay();
             this.updateWeekProgress();
             
             // Add initial animations
             this.animateOnLoad();
             
-            // Set up periodic saves (every 30 seconds)
+            if (rolledOver > 0) this.showRolloverMessage(rolledOver);
+            this.scheduleRollover();
+            this.scheduleReminders();
+            this.resumeFocusSession();
+            this.registerServiceWorker();
+            this.promptNextMissedNote();
+            
+            // Periodically make sure queued writes reach storage (every 30 seconds)
             setInterval(() => this.autoSave(), 30000);
             
             console.log('AURORA Task Tracker initialized successfully');
@@ -56,13 +215,22 @@ class AuroraTaskTracker {
     cacheDOMElements() {
         this.elements = {
             // Week view elements
+            weekTitleText: document.getElementById('weekTitleText'),
+            viewSwitcher: document.getElementById('viewSwitcher'),
+            weekGridLayout: document.getElementById('weekGridLayout'),
+            dayView: document.getElementById('dayView'),
+            monthView: document.getElementById('monthView'),
+            yearView: document.getElementById('yearView'),
             weekGrid1: document.getElementById('weekGrid1'),
             weekGrid2: document.getElementById('weekGrid2'),
             weekNumber: document.getElementById('weekNumber'),
             weekRange: document.getElementById('weekRange'),
             weekRangeDisplay: document.getElementById('weekRangeDisplay'),
+            weekProgressLabel: document.getElementById('weekProgressLabel'),
             weekProgressPercent: document.getElementById('weekProgressPercent'),
             weekProgressFill: document.getElementById('weekProgressFill'),
+            col1Title: document.getElementById('col1Title'),
+            col2Title: document.getElementById('col2Title'),
             col1Completed: document.getElementById('col1Completed'),
             col1Pending: document.getElementById('col1Pending'),
             col2Completed: document.getElementById('col2Completed'),
@@ -78,43 +246,502 @@ class AuroraTaskTracker {
             
             // Statistics elements
             yearNavigation: document.getElementById('yearNavigation'),
+            navigationYear: document.getElementById('navigationYear'),
+            prevYearBtn: document.getElementById('prevYearBtn'),
+            nextYearBtn: document.getElementById('nextYearBtn'),
+            jumpDate: document.getElementById('jumpDate'),
             activityList: document.getElementById('activityList'),
             noteModal: document.getElementById('noteModal'),
             noteTextarea: document.getElementById('noteTextarea'),
             closeModal: document.getElementById('closeModal'),
             cancelNote: document.getElementById('cancelNote'),
             saveNote: document.getElementById('saveNote'),
+            rolloverMode: document.getElementById('rolloverMode'),
+            weekStart: document.getElementById('weekStart'),
+            progressWeight: document.getElementById('progressWeight'),
+            activityRetention: document.getElementById('activityRetention'),
+            notificationMode: document.getElementById('notificationMode'),
+            dailySummaryHour: document.getElementById('dailySummaryHour'),
+            focusMinutes: document.getElementById('focusMinutes'),
+            breakMinutes: document.getElementById('breakMinutes'),
+            focusTimer: document.getElementById('focusTimer'),
+            focusPhase: document.getElementById('focusPhase'),
+            focusCountdown: document.getElementById('focusCountdown'),
+            focusTask: document.getElementById('focusTask'),
+            focusStopBtn: document.getElementById('focusStopBtn'),
+            weekTrackedTime: document.getElementById('weekTrackedTime'),
+            noteCategory: document.getElementById('noteCategory'),
+            
+            // Day journal elements
+            journalModal: document.getElementById('journalModal'),
+            journalDate: document.getElementById('journalDate'),
+            journalMood: document.getElementById('journalMood'),
+            journalEnergy: document.getElementById('journalEnergy'),
+            journalText: document.getElementById('journalText'),
+            saveJournal: document.getElementById('saveJournal'),
+            clearJournal: document.getElementById('clearJournal'),
+            closeJournal: document.getElementById('closeJournal'),
+            cancelJournal: document.getElementById('cancelJournal'),
+            moodRates: document.getElementById('moodRates'),
+            energyRates: document.getElementById('energyRates'),
+            journalCorrelation: document.getElementById('journalCorrelation'),
+            
+            // Weekly review elements
+            weeklyReviewModal: document.getElementById('weeklyReviewModal'),
+            weeklyReviewLabel: document.getElementById('weeklyReviewLabel'),
+            weeklyReviewRange: document.getElementById('weeklyReviewRange'),
+            weeklyReviewHistory: document.getElementById('weeklyReviewHistory'),
+            prevReviewWeek: document.getElementById('prevReviewWeek'),
+            nextReviewWeek: document.getElementById('nextReviewWeek'),
+            weeklyReviewStats: document.getElementById('weeklyReviewStats'),
+            weeklyPreviousGoals: document.getElementById('weeklyPreviousGoals'),
+            weeklyReviewMissed: document.getElementById('weeklyReviewMissed'),
+            weeklyReflection: document.getElementById('weeklyReflection'),
+            weeklyGoals: document.getElementById('weeklyGoals'),
+            weeklyCarryList: document.getElementById('weeklyCarryList'),
+            moveUnfinishedBtn: document.getElementById('moveUnfinishedBtn'),
+            saveWeeklyReview: document.getElementById('saveWeeklyReview'),
+            closeWeeklyReview: document.getElementById('closeWeeklyReview'),
+            cancelWeeklyReview: document.getElementById('cancelWeeklyReview'),
+            
+            // Template elements
+            openTemplatesBtn: document.getElementById('openTemplatesBtn'),
+            templatesModal: document.getElementById('templatesModal'),
+            templateSourceDate: document.getElementById('templateSourceDate'),
+            templateName: document.getElementById('templateName'),
+            saveTemplateBtn: document.getElementById('saveTemplateBtn'),
+            templateTargetDate: document.getElementById('templateTargetDate'),
+            templateSkipDuplicates: document.getElementById('templateSkipDuplicates'),
+            templateList: document.getElementById('templateList'),
+            importTemplatesBtn: document.getElementById('importTemplatesBtn'),
+            importTemplatesInput: document.getElementById('importTemplatesInput'),
+            exportTemplatesBtn: document.getElementById('exportTemplatesBtn'),
+            closeTemplates: document.getElementById('closeTemplates'),
+            cancelTemplates: document.getElementById('cancelTemplates'),
+            
+            // Activity history elements
+            openHistoryBtn: document.getElementById('openHistoryBtn'),
+            historyModal: document.getElementById('historyModal'),
+            historyType: document.getElementById('historyType'),
+            historyFrom: document.getElementById('historyFrom'),
+            historyTo: document.getElementById('historyTo'),
+            historySummary: document.getElementById('historySummary'),
+            historyList: document.getElementById('historyList'),
+            closeHistory: document.getElementById('closeHistory'),
+            cancelHistory: document.getElementById('cancelHistory'),
+            
+            // Search elements
+            searchBtn: document.getElementById('searchBtn'),
+            installBtn: document.getElementById('installBtn'),
+            searchModal: document.getElementById('searchModal'),
+            searchInput: document.getElementById('searchInput'),
+            searchStatus: document.getElementById('searchStatus'),
+            searchFrom: document.getElementById('searchFrom'),
+            searchTo: document.getElementById('searchTo'),
+            searchTags: document.getElementById('searchTags'),
+            searchSummary: document.getElementById('searchSummary'),
+            searchResults: document.getElementById('searchResults'),
+            closeSearch: document.getElementById('closeSearch'),
+            
+            // Missed review elements
+            openReviewBtn: document.getElementById('openReviewBtn'),
+            reviewModal: document.getElementById('reviewModal'),
+            reviewRange: document.getElementById('reviewRange'),
+            reviewGroup: document.getElementById('reviewGroup'),
+            reviewSummary: document.getElementById('reviewSummary'),
+            reviewList: document.getElementById('reviewList'),
+            closeReview: document.getElementById('closeReview'),
+            cancelReview: document.getElementById('cancelReview'),
+            
+            // Backup & import elements
+            exportBackupBtn: document.getElementById('exportBackupBtn'),
+            importBackupBtn: document.getElementById('importBackupBtn'),
+            importBackupInput: document.getElementById('importBackupInput'),
+            importModal: document.getElementById('importModal'),
+            importSummary: document.getElementById('importSummary'),
+            importConflicts: document.getElementById('importConflicts'),
+            importPolicy: document.getElementById('importPolicy'),
+            importPolicyField: document.getElementById('importPolicyField'),
+            closeImport: document.getElementById('closeImport'),
+            cancelImport: document.getElementById('cancelImport'),
+            confirmImport: document.getElementById('confirmImport'),
+            exportRange: document.getElementById('exportRange'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportReportBtn: document.getElementById('exportReportBtn'),
+            importIcsBtn: document.getElementById('importIcsBtn'),
+            importIcsInput: document.getElementById('importIcsInput'),
+            
+            // Edit modal elements
+            editModal: document.getElementById('editModal'),
+            editText: document.getElementById('editText'),
+            editPriority: document.getElementById('editPriority'),
+            editEstimate: document.getElementById('editEstimate'),
+            editDueTime: document.getElementById('editDueTime'),
+            editReminder: document.getElementById('editReminder'),
+            editProject: document.getElementById('editProject'),
+            editTags: document.getElementById('editTags'),
+            editDate: document.getElementById('editDate'),
+            editPosition: document.getElementById('editPosition'),
+            editNote: document.getElementById('editNote'),
+            editNoteField: document.getElementById('editNoteField'),
+            editCategory: document.getElementById('editCategory'),
+            editSeries: document.getElementById('editSeries'),
+            closeEdit: document.getElementById('closeEdit'),
+            cancelEdit: document.getElementById('cancelEdit'),
+            saveEdit: document.getElementById('saveEdit'),
+            
+            // Recurrence modal elements
+            recurrenceModal: document.getElementById('recurrenceModal'),
+            recurrenceTitle: document.getElementById('recurrenceTitle'),
+            recurrenceText: document.getElementById('recurrenceText'),
+            recurrenceFreq: document.getElementById('recurrenceFreq'),
+            recurrenceInterval: document.getElementById('recurrenceInterval'),
+            recurrenceIntervalField: document.getElementById('recurrenceIntervalField'),
+            recurrenceMonthDay: document.getElementById('recurrenceMonthDay'),
+            recurrenceMonthDayField: document.getElementById('recurrenceMonthDayField'),
+            recurrenceWeekdays: document.getElementById('recurrenceWeekdays'),
+            recurrenceEnd: document.getElementById('recurrenceEnd'),
+            recurrenceUntil: document.getElementById('recurrenceUntil'),
+            recurrenceUntilField: document.getElementById('recurrenceUntilField'),
+            recurrenceCount: document.getElementById('recurrenceCount'),
+            recurrenceCountField: document.getElementById('recurrenceCountField'),
+            recurrenceScope: document.getElementById('recurrenceScope'),
+            closeRecurrence: document.getElementById('closeRecurrence'),
+            cancelRecurrence: document.getElementById('cancelRecurrence'),
+            saveRecurrence: document.getElementById('saveRecurrence'),
+            
             quickTaskInput: document.getElementById('quickTaskInput'),
+            quickAddPreview: document.getElementById('quickAddPreview'),
             quickAddBtn: document.getElementById('quickAddBtn'),
             completedCount: document.getElementById('completedCount'),
             missedCount: document.getElementById('missedCount'),
             pendingCount: document.getElementById('pendingCount'),
-            totalCount: document.getElementById('totalCount')
+            totalCount: document.getElementById('totalCount'),
+            
+            // Analytics elements
+            currentStreak: document.getElementById('currentStreak'),
+            longestStreak: document.getElementById('longestStreak'),
+            weekdayRates: document.getElementById('weekdayRates'),
+            weeklyMissedTrend: document.getElementById('weeklyMissedTrend'),
+            heatmap: document.getElementById('heatmap')
         };
     }
 
     // Set up all event listeners
     setupEventListeners() {
         // Navigation buttons
-        this.elements.prevWeek.addEventListener('click', () => this.navigateWeek(-1));
-        this.elements.nextWeek.addEventListener('click', () => this.navigateWeek(1));
+        this.elements.prevWeek.addEventListener('click', () => this.navigatePeriod(-1));
+        this.elements.nextWeek.addEventListener('click', () => this.navigatePeriod(1));
         this.elements.todayBtn.addEventListener('click', () => this.goToToday());
         
         // New week view navigation
-        this.elements.prevWeekBtn.addEventListener('click', () => this.navigateWeek(-1));
-        this.elements.nextWeekBtn.addEventListener('click', () => this.navigateWeek(1));
+        this.elements.prevWeekBtn.addEventListener('click', () => this.navigatePeriod(-1));
+        this.elements.nextWeekBtn.addEventListener('click', () => this.navigatePeriod(1));
         this.elements.todayBtnMain.addEventListener('click', () => this.goToToday());
+        
+        // Year bar, date picker and deep links
+        this.elements.prevYearBtn.addEventListener('click', () => this.navigateYear(-1));
+        this.elements.nextYearBtn.addEventListener('click', () => this.navigateYear(1));
+        this.elements.jumpDate.addEventListener('change', (e) => {
+            if (e.target.value) this.navigateToDate(this.parseDateKey(e.target.value));
+        });
+        window.addEventListener('popstate', () => {
+            this.applyRoute();
+            this.renderCalendar();
+            this.updatePeriodDisplay();
+            this.updateWeekProgress();
+        });
+        
+        // Calendar views
+        this.elements.viewSwitcher.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) this.setView(button.dataset.view);
+        });
+        this.elements.monthView.addEventListener('click', (e) => {
+            const cell = e.target.closest('.month-cell');
+            if (cell) this.openDay(this.parseDateKey(cell.dataset.date));
+        });
+        this.elements.yearView.addEventListener('click', (e) => {
+            const day = e.target.closest('.year-day[data-date]');
+            const month = e.target.closest('.year-month-title');
+            if (day) {
+                this.openDay(this.parseDateKey(day.dataset.date));
+            } else if (month) {
+                this.setFocusDate(new Date(this.focusDate.getFullYear(), Number(month.dataset.month), 1));
+                this.setView('month');
+            }
+        });
 
         // Note modal
         this.elements.closeModal.addEventListener('click', () => this.closeNoteModal());
-        this.elements.cancelNote.addEventListener('click', () => this.closeNoteModal());
+        this.elements.cancelNote.addEventListener('click', () => {
+            // In a rollover batch, Cancel skips to the next task instead of ending the prompt
+            const data = this.currentNoteData;
+            this.closeNoteModal();
+            if (data && data.batch) {
+                this.skippedNotes.add(data.taskId);
+                this.promptNextMissedNote();
+            }
+        });
         this.elements.saveNote.addEventListener('click', () => this.saveNote());
+        this.elements.noteCategory.innerHTML = this.createCategoryOptions(null);
+        this.elements.editCategory.innerHTML = this.createCategoryOptions(null);
+
+        // End-of-day rollover
+        this.elements.rolloverMode.addEventListener('change', (e) => this.setRolloverMode(e.target.value));
+        this.elements.weekStart.addEventListener('change', (e) => this.setWeekStart(Number(e.target.value)));
+        this.elements.progressWeight.addEventListener('change', (e) => {
+            this.settings.progressWeight = e.target.value;
+            this.saveSettings();
+            this.updateWeekProgress();
+        });
+        this.elements.activityRetention.addEventListener('change', (e) => {
+            this.settings.activityRetention = Number(e.target.value);
+            this.saveSettings();
+            this.pruneActivities();
+        });
+        document.addEventListener('visibilitychange', () => {
+            // Timers are paused while the device sleeps, so re-check the date on return
+            if (!document.hidden && this.formatDateKey(new Date()) !== this.lastDayKey) {
+                this.handleDayChange();
+            }
+            if (!document.hidden) this.scheduleReminders();
+        });
+        
+        // Reminders
+        this.elements.notificationMode.addEventListener('change', (e) => this.setNotificationMode(e.target.value));
+        this.elements.dailySummaryHour.addEventListener('change', (e) => {
+            this.settings.dailySummaryHour = e.target.value === '' ? null : Number(e.target.value);
+            this.saveSettings();
+            this.scheduleReminders();
+        });
+        
+        // Focus timer
+        this.elements.focusMinutes.addEventListener('change', (e) => {
+            this.settings.focusMinutes = Number(e.target.value);
+            this.saveSettings();
+        });
+        this.elements.breakMinutes.addEventListener('change', (e) => {
+            this.settings.breakMinutes = Number(e.target.value);
+            this.saveSettings();
+        });
+        this.elements.focusStopBtn.addEventListener('click', () => this.stopFocusSession());
+        this.elements.focusTask.addEventListener('click', () => {
+            const dateKey = this.focusSession && this.getTaskLocations().get(this.focusSession.taskId);
+            if (dateKey) this.navigateToDate(this.parseDateKey(dateKey), this.focusSession.taskId);
+        });
+
+        // Activity history
+        this.elements.openHistoryBtn.addEventListener('click', () => this.openHistoryModal());
+        this.elements.closeHistory.addEventListener('click', () => this.closeHistoryModal());
+        this.elements.cancelHistory.addEventListener('click', () => this.closeHistoryModal());
+        this.elements.historyModal.addEventListener('change', () => this.renderActivityHistory());
+        this.elements.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.historyModal) this.closeHistoryModal();
+        });
+        // Older entries load as the list is scrolled to its end
+        this.elements.historyList.addEventListener('scroll', () => {
+            const list = this.elements.historyList;
+            if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+                this.appendHistoryPage();
+            }
+        });
+        [this.elements.activityList, this.elements.historyList].forEach(list => {
+            list.addEventListener('click', (e) => {
+                const link = e.target.closest('.activity-link');
+                if (link) {
+                    this.closeHistoryModal();
+                    this.navigateToDate(this.parseDateKey(link.dataset.date), parseFloat(link.dataset.taskId));
+                } else if (e.target.closest('.history-more')) {
+                    this.appendHistoryPage();
+                }
+            });
+        });
+
+        // Search
+        this.elements.searchBtn.addEventListener('click', () => this.openSearchModal());
+        this.elements.closeSearch.addEventListener('click', () => this.closeSearchModal());
+        this.elements.searchModal.addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.renderSearchResults(), 150);
+        });
+        this.elements.searchResults.addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (!result) return;
+            
+            this.closeSearchModal();
+            const date = this.parseDateKey(result.dataset.date);
+            if (result.classList.contains('journal')) {
+                this.navigateToDate(date);
+                this.openJournalModal(date);
+                return;
+            }
+            this.navigateToDate(date, parseFloat(result.dataset.taskId));
+        });
+        this.elements.searchModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.searchModal) this.closeSearchModal();
+        });
+
+        // Missed review
+        this.elements.openReviewBtn.addEventListener('click', () => this.openReviewModal());
+        this.elements.closeReview.addEventListener('click', () => this.closeReviewModal());
+        this.elements.cancelReview.addEventListener('click', () => this.closeReviewModal());
+        this.elements.reviewRange.addEventListener('change', () => this.renderMissedReview());
+        this.elements.reviewGroup.addEventListener('change', () => this.renderMissedReview());
+        this.elements.reviewList.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-task-id]');
+            if (!select) return;
+            
+            const date = this.parseDateKey(select.dataset.date);
+            this.editTask(date, parseFloat(select.dataset.taskId), { missedCategory: select.value || null });
+            this.renderCalendar();
+            this.renderMissedReview();
+            this.showUndoableMessage('Reason category updated', 'success');
+        });
+        this.elements.reviewModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.reviewModal) this.closeReviewModal();
+        });
+
+        // Backup export & import
+        this.elements.exportBackupBtn.addEventListener('click', () => this.exportBackup());
+        this.elements.importBackupBtn.addEventListener('click', () => this.elements.importBackupInput.click());
+        this.elements.importBackupInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.readBackupFile(file);
+        });
+        this.elements.closeImport.addEventListener('click', () => this.closeImportModal());
+        this.elements.cancelImport.addEventListener('click', () => this.closeImportModal());
+        this.elements.confirmImport.addEventListener('click', () => this.confirmImport());
+        this.elements.importModal.addEventListener('change', (e) => {
+            if (e.target.name === 'importMode') {
+                this.elements.importPolicyField.style.display = e.target.value === 'merge' ? '' : 'none';
+            }
+        });
+        this.elements.importModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.importModal) this.closeImportModal();
+        });
+        
+        // Day journal, opened from each day card header
+        this.elements.closeJournal.addEventListener('click', () => this.closeJournalModal());
+        this.elements.cancelJournal.addEventListener('click', () => this.closeJournalModal());
+        this.elements.saveJournal.addEventListener('click', () => this.saveJournalEntry());
+        this.elements.clearJournal.addEventListener('click', () => this.clearJournalEntry());
+        [this.elements.journalMood, this.elements.journalEnergy].forEach(scale => {
+            scale.addEventListener('click', (e) => {
+                const option = e.target.closest('.journal-option');
+                if (!option) return;
+                
+                // Picking the selected value again clears it
+                const field = scale === this.elements.journalMood ? 'mood' : 'energy';
+                const value = parseInt(option.dataset.value, 10);
+                this.currentJournalData[field] = this.currentJournalData[field] === value ? null : value;
+                this.renderJournalScales();
+            });
+        });
+        this.elements.journalText.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) this.saveJournalEntry();
+        });
+        this.elements.journalModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.journalModal) this.closeJournalModal();
+        });
+        
+        // Weekly review, opened from the week label in the header
+        this.elements.weekNumber.addEventListener('click', () => this.openWeeklyReviewModal(this.focusDate));
+        this.elements.closeWeeklyReview.addEventListener('click', () => this.closeWeeklyReviewModal());
+        this.elements.cancelWeeklyReview.addEventListener('click', () => this.closeWeeklyReviewModal());
+        this.elements.saveWeeklyReview.addEventListener('click', () => this.saveWeeklyReview());
+        this.elements.prevReviewWeek.addEventListener('click', () => this.shiftReviewWeek(-1));
+        this.elements.nextReviewWeek.addEventListener('click', () => this.shiftReviewWeek(1));
+        this.elements.weeklyReviewHistory.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.reviewWeekStart = this.getWeekStartDate(this.parseDateKey(e.target.value));
+            this.renderWeeklyReview();
+        });
+        this.elements.moveUnfinishedBtn.addEventListener('click', () => this.moveSelectedToNextWeek());
+        this.elements.weeklyReviewModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.weeklyReviewModal) this.closeWeeklyReviewModal();
+        });
+        
+        // Task templates
+        this.elements.openTemplatesBtn.addEventListener('click', () => this.openTemplatesModal());
+        this.elements.closeTemplates.addEventListener('click', () => this.closeTemplatesModal());
+        this.elements.cancelTemplates.addEventListener('click', () => this.closeTemplatesModal());
+        this.elements.saveTemplateBtn.addEventListener('click', () => this.saveDayAsTemplate());
+        this.elements.templateName.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveDayAsTemplate();
+        });
+        this.elements.templateList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const templateId = parseFloat(button.closest('.template-item').dataset.templateId);
+            if (button.dataset.action === 'apply') {
+                this.applySelectedTemplate(templateId);
+            } else if (button.dataset.action === 'export') {
+                this.exportTemplates([templateId]);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteTemplate(templateId);
+            }
+        });
+        this.elements.exportTemplatesBtn.addEventListener('click', () => this.exportTemplates());
+        this.elements.importTemplatesBtn.addEventListener('click', () => this.elements.importTemplatesInput.click());
+        this.elements.importTemplatesInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.readTemplatesFile(file);
+        });
+        this.elements.templatesModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.templatesModal) this.closeTemplatesModal();
+        });
+        
+        // CSV / iCalendar reports
+        this.elements.exportReportBtn.addEventListener('click', () => {
+            this.exportReport(this.elements.exportRange.value, this.elements.exportFormat.value);
+        });
+        this.elements.importIcsBtn.addEventListener('click', () => this.elements.importIcsInput.click());
+        this.elements.importIcsInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.readIcsFile(file);
+        });
+
+        // Edit modal
+        this.elements.closeEdit.addEventListener('click', () => this.closeEditModal());
+        this.elements.cancelEdit.addEventListener('click', () => this.closeEditModal());
+        this.elements.saveEdit.addEventListener('click', () => this.saveEdit());
+        this.elements.editDate.addEventListener('change', () => this.updateEditPositions());
+        this.elements.editText.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveEdit();
+        });
+        this.elements.editSeries.addEventListener('click', () => {
+            const { date, taskId } = this.currentEditData;
+            this.closeEditModal();
+            this.openRecurrenceModal(date, taskId);
+        });
+        this.elements.editModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.editModal) this.closeEditModal();
+        });
+
+        // Recurrence modal
+        this.elements.closeRecurrence.addEventListener('click', () => this.closeRecurrenceModal());
+        this.elements.cancelRecurrence.addEventListener('click', () => this.closeRecurrenceModal());
+        this.elements.saveRecurrence.addEventListener('click', () => this.saveRecurrence());
+        this.elements.recurrenceFreq.addEventListener('change', () => this.updateRecurrenceFields());
+        this.elements.recurrenceEnd.addEventListener('change', () => this.updateRecurrenceFields());
+        this.elements.recurrenceScope.addEventListener('change', () => this.updateRecurrenceFields());
+        this.elements.recurrenceModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.recurrenceModal) this.closeRecurrenceModal();
+        });
 
         // Quick add task with debouncing
         this.elements.quickAddBtn.addEventListener('click', () => this.debounce(() => this.addQuickTask(), 300));
         this.elements.quickTaskInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.debounce(() => this.addQuickTask(), 300);
         });
+        this.elements.quickTaskInput.addEventListener('input', () => {
+            this.renderQuickAddPreview(this.elements.quickAddPreview, this.elements.quickTaskInput.value, new Date());
+        });
 
         // Close modal on outside click and Escape key
         this.elements.noteModal.addEventListener('click', (e) => {
@@ -125,6 +752,39 @@ class AuroraTaskTracker {
             if (e.key === 'Escape' && this.elements.noteModal.style.display === 'flex') {
                 this.closeNoteModal();
             }
+            if (e.key === 'Escape' && this.elements.recurrenceModal.style.display === 'flex') {
+                this.closeRecurrenceModal();
+            }
+            if (e.key === 'Escape' && this.elements.editModal.style.display === 'flex') {
+                this.closeEditModal();
+            }
+            if (e.key === 'Escape' && this.elements.importModal.style.display === 'flex') {
+                this.closeImportModal();
+            }
+            if (e.key === 'Escape' && this.elements.reviewModal.style.display === 'flex') {
+                this.closeReviewModal();
+            }
+            if (e.key === 'Escape' && this.elements.searchModal.style.display === 'flex') {
+                this.closeSearchModal();
+            }
+            if (e.key === 'Escape' && this.elements.historyModal.style.display === 'flex') {
+                this.closeHistoryModal();
+            }
+            if (e.key === 'Escape' && this.elements.templatesModal.style.display === 'flex') {
+                this.closeTemplatesModal();
+            }
+            if (e.key === 'Escape' && this.elements.weeklyReviewModal.style.display === 'flex') {
+                this.closeWeeklyReviewModal();
+            }
+            if (e.key === 'Escape' && this.elements.journalModal.style.display === 'flex') {
+                this.closeJournalModal();
+            }
+        });
+
+        // Heatmap cells jump the week view to their date
+        this.elements.heatmap.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-date]');
+            if (cell) this.navigateToDate(this.parseDateKey(cell.dataset.date));
         });
 
         // Keyboard shortcuts for navigation
@@ -133,36 +793,72 @@ class AuroraTaskTracker {
             if ((e.ctrlKey || e.metaKey) && !e.altKey) {
                 if (e.key === 'ArrowLeft') {
                     e.preventDefault();
-                    this.navigateWeek(-1);
+                    this.navigatePeriod(-1);
                 } else if (e.key === 'ArrowRight') {
                     e.preventDefault();
-                    this.navigateWeek(1);
+                    this.navigatePeriod(1);
                 } else if (e.key === 't' || e.key === 'T') {
                     e.preventDefault();
                     this.goToToday();
+                } else if (e.key === 'k' || e.key === 'K') {
+                    e.preventDefault();
+                    this.openSearchModal();
+                } else if ((e.key === 'z' || e.key === 'Z') && !this.isTypingTarget(e.target)) {
+                    // Leave native text undo alone inside inputs
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
                 }
+            } else if (!e.altKey && !this.isTypingTarget(e.target) && !document.querySelector('.modal[aria-hidden="false"]')) {
+                // D / W / M / Y switch the calendar layout
+                const view = { d: 'day', w: 'week', m: 'month', y: 'year' }[e.key.toLowerCase()];
+                if (view) this.setView(view);
             }
         });
 
         // Handle offline/online status
         window.addEventListener('online', () => this.showMessage('Back online', 'success'));
         window.addEventListener('offline', () => this.showMessage('Working offline', 'warning'));
+        
+        // Offer installation once the browser says the app qualifies
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            this.elements.installBtn.hidden = false;
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.elements.installBtn.hidden = true;
+            this.showMessage('AURORA installed', 'success');
+        });
+        this.elements.installBtn.addEventListener('click', () => this.installApp());
     }
 
     // Date handling methods
+    // Local midnight of the first day of the week, per the weekStart setting
     getWeekStartDate(date) {
-        const dayOfWeek = date.getDay();
-        const diff = date.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1);
-        const weekStart = new Date(date);
-        weekStart.setDate(diff);
-        weekStart.setHours(0, 0, 0, 0);
-        return weekStart;
+        const diff = (date.getDay() - this.settings.weekStart + 7) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - diff);
+    }
+
+    // ISO-8601 week: weeks start on Monday and belong to the year of their Thursday
+    getISOWeek(date) {
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+        const jan4 = new Date(thursday.getFullYear(), 0, 4); // Always in week 1
+        const week = 1 + Math.floor((this.daysBetween(jan4, thursday) + (jan4.getDay() + 6) % 7) / 7);
+        return { week, year: thursday.getFullYear() };
     }
 
     getWeekNumber(date) {
-        const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
-        const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
-        return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
+        return this.getISOWeek(date).week;
+    }
+
+    // ISO week for a displayed week; a Sunday-start week shares Monday-Saturday with it
+    getDisplayWeek(weekStart) {
+        return this.getISOWeek(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 3));
     }
 
     getWeekDates(startDate) {
@@ -186,8 +882,23 @@ class AuroraTaskTracker {
         return dates;
     }
 
+    // 'YYYY-MM-DD' for the local calendar day
     formatDateKey(date) {
-        return date.toISOString().split('T')[0];
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Whole calendar days from date1 to date2 (rounded so DST shifts don't matter)
+    daysBetween(date1, date2) {
+        const start = new Date(date1.getFullYear(), date1.getMonth(), date1.getDate());
+        const end = new Date(date2.getFullYear(), date2.getMonth(), date2.getDate());
+        return Math.round((end - start) / 86400000);
     }
 
     formatDateDisplay(date) {
@@ -207,74 +918,226 @@ class AuroraTaskTracker {
                date1.getFullYear() === date2.getFullYear();
     }
 
-    isDateInCurrentWeek(date) {
-        const weekStart = new Date(this.currentWeekStart);
-        const weekEnd = new Date(weekStart);
-        weekEnd.setDate(weekEnd.getDate() + 6);
-        weekEnd.setHours(23, 59, 59, 999);
-        
-        return date >= weekStart && date <= weekEnd;
+    // Whether date falls in the period the calendar is showing
+    isDateVisible(date) {
+        const dateKey = this.formatDateKey(date);
+        const { start, end } = this.getPeriodRange();
+        return dateKey >= this.formatDateKey(start) && dateKey <= this.formatDateKey(end);
     }
 
     // Data persistence methods
-    loadTasks() {
+    async loadData() {
         try {
-            const tasksJSON = localStorage.getItem('auroraTasks');
-            return tasksJSON ? JSON.parse(tasksJSON) : {};
+            if (!this.storage) {
+                this.storage = await openAuroraStorage();
+            }
+            this.storage.onError = (error) => this.handleStorageError(error);
+            
+            const data = await this.storage.loadAll();
+            this.tasks = data.tasks;
+            this.activities = data.activities;
+            this.recurringTasks = data.recurringTasks;
+            this.templates = data.templates;
+            this.weeklyReviews = data.weeklyReviews;
+            this.journal = data.journal;
+            this.settings = { ...DEFAULT_SETTINGS, ...data.settings };
+            
+            if (!data.settings.localDateKeys) {
+                this.migrateDateKeys();
+            }
         } catch (error) {
-            console.error('Error loading tasks:', error);
-            return {};
+            console.error('Error loading data:', error);
+            this.storage = new AuroraMemoryStorage();
+            this.showError('Failed to load saved tasks.');
+            return;
+        }
+        
+        if (!this.storage.persistent) {
+            this.showMessage('Storage is unavailable - changes will not be saved after closing this tab', 'warning');
         }
     }
 
-    loadActivities() {
-        try {
-            const activitiesJSON = localStorage.getItem('auroraActivities');
-            return activitiesJSON ? JSON.parse(activitiesJSON) : [];
-        } catch (error) {
-            console.error('Error loading activities:', error);
-            return [];
+    // Older versions keyed days by the UTC date, so rewrite keys to the local day they were shown on
+    migrateDateKeys() {
+        const migrated = this.rekeyLegacyData({
+            tasks: this.tasks,
+            recurringTasks: this.recurringTasks,
+            activities: this.activities,
+            settings: this.settings
+        });
+        
+        this.tasks = migrated.tasks;
+        this.recurringTasks = migrated.recurringTasks;
+        this.activities = migrated.activities;
+        this.settings = migrated.settings;
+        
+        // Undo snapshots still refer to the old keys
+        this.history = { undo: [], redo: [] };
+        this.saveHistory();
+        
+        this.saveTasks();
+        this.saveRecurringTasks();
+        this.saveActivities();
+        this.saveSettings();
+    }
+
+    // Map a key written by the old toISOString()-based formatDateKey to its local day.
+    // Quick add used to key tasks by the moment they were added instead of local midnight, and
+    // those keys look the same as card keys, so they get this mapping too and can be a day off.
+    rekeyLegacyDateKey(dateKey) {
+        const date = this.parseDateKey(dateKey);
+        
+        // The old key was the UTC date of local midnight, which is at most a day away
+        for (const offset of [-1, 0, 1]) {
+            const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+            if (candidate.toISOString().split('T')[0] === dateKey) {
+                return this.formatDateKey(candidate);
+            }
+        }
+        
+        return dateKey;
+    }
+
+    // Re-key every stored date in { tasks, recurringTasks, activities, settings }
+    rekeyLegacyData(data) {
+        const rekey = (dateKey) => (dateKey ? this.rekeyLegacyDateKey(dateKey) : dateKey);
+        const tasks = {};
+        
+        Object.entries(data.tasks).forEach(([dateKey, dayTasks]) => {
+            const newKey = rekey(dateKey);
+            tasks[newKey] = (tasks[newKey] || []).concat(dayTasks.map(task => 
+                (task.carriedFrom ? { ...task, carriedFrom: rekey(task.carriedFrom) } : task)
+            ));
+        });
+        
+        return {
+            ...data,
+            tasks,
+            recurringTasks: (data.recurringTasks || []).map(series => ({
+                ...series,
+                startDate: rekey(series.startDate),
+                exceptions: (series.exceptions || []).map(rekey),
+                rule: { ...series.rule, until: rekey(series.rule.until) }
+            })),
+            activities: (data.activities || []).map(activity => ({ ...activity, taskDate: rekey(activity.taskDate) })),
+            settings: { ...data.settings, rolloverSince: rekey(data.settings && data.settings.rolloverSince), localDateKeys: true }
+        };
+    }
+
+    handleStorageError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            this.showError('Storage is full. Export a backup and remove old tasks to free up space.');
+        } else {
+            this.showError('Failed to save changes. Please export a backup.');
         }
     }
 
-    saveTasks() {
+    // Persist the given days (or every day when called without arguments)
+    saveTasks(...dateKeys) {
+        this.invalidateSearchIndex(dateKeys);
+        // Edits, completions, deletions and moves all pass through here
+        this.queueReminderCheck();
+        
         try {
-            localStorage.setItem('auroraTasks', JSON.stringify(this.tasks));
+            if (dateKeys.length > 0) {
+                const keys = [...new Set(dateKeys)];
+                keys.forEach(dateKey => this.storage.putDay(dateKey, this.tasks[dateKey] || null));
+                this.broadcastDays(keys);
+            } else {
+                this.storage.replaceDays(this.tasks);
+                this.broadcastReload();
+            }
             this.updateStatistics();
             this.updateWeekProgress();
         } catch (error) {
             console.error('Error saving tasks:', error);
-            this.showError('Failed to save tasks. Storage might be full.');
+            this.showError('Failed to save tasks.');
         }
     }
 
+    // Rewrites the whole activity log; new entries go through addActivity()
     saveActivities() {
         try {
-            // Keep only last 100 activities for performance
-            if (this.activities.length > 100) {
-                this.activities = this.activities.slice(0, 100);
-            }
-            localStorage.setItem('auroraActivities', JSON.stringify(this.activities));
+            this.storage.putActivities(this.activities);
+            this.broadcastCollection('activities');
         } catch (error) {
             console.error('Error saving activities:', error);
         }
     }
 
+    saveRecurringTasks() {
+        try {
+            this.storage.putMeta('recurringTasks', this.recurringTasks);
+            this.broadcastCollection('recurring');
+        } catch (error) {
+            console.error('Error saving recurring tasks:', error);
+            this.showError('Failed to save recurring tasks.');
+        }
+    }
+
+    saveTemplates() {
+        try {
+            this.storage.putMeta('templates', this.templates);
+            this.broadcastCollection('templates');
+        } catch (error) {
+            console.error('Error saving templates:', error);
+            this.showError('Failed to save templates.');
+        }
+    }
+
+    // dateKey: the day that changed, so other tabs get just that entry; omitted after bulk changes
+    saveJournal(dateKey = null) {
+        try {
+            this.storage.putMeta('journal', this.journal);
+            this.broadcastSync(dateKey ?
+                { type: 'journal', dateKey, entry: this.journal[dateKey] || null } :
+                { type: 'journal', journal: this.journal });
+        } catch (error) {
+            console.error('Error saving journal:', error);
+            this.showError('Failed to save the journal.');
+        }
+    }
+
+    saveWeeklyReviews() {
+        try {
+            this.storage.putMeta('weeklyReviews', this.weeklyReviews);
+            this.broadcastCollection('reviews');
+        } catch (error) {
+            console.error('Error saving weekly reviews:', error);
+            this.showError('Failed to save weekly reviews.');
+        }
+    }
+
+    saveSettings() {
+        try {
+            this.storage.putMeta('settings', this.settings);
+            this.broadcastSync({ type: 'settings', settings: this.settings });
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
     autoSave() {
-        this.saveTasks();
-        this.saveActivities();
+        return this.storage.flush();
     }
 
     // Task management methods
     getTasksForDate(date) {
         const dateKey = this.formatDateKey(date);
+        this.materializeOccurrences(date, dateKey);
         return this.tasks[dateKey] || [];
     }
 
-    addTask(date, taskText) {
+    findTask(date, taskId) {
+        return this.getTasksForDate(date).find(task => task.id === taskId) || null;
+    }
+
+    // details: optional { priority, tags, project, estimate, dueTime, reminder, subtasks } (subtasks as step texts)
+    addTask(date, taskText, details = {}) {
         if (!taskText.trim()) return null;
         
         const dateKey = this.formatDateKey(date);
+        const command = this.beginCommand('Add task', [dateKey]);
         
         if (!this.tasks[dateKey]) {
             this.tasks[dateKey] = [];
@@ -287,19 +1150,28 @@ class AuroraTaskTracker {
             createdAt: new Date().toISOString(),
             completedAt: null,
             missedNote: null,
+            missedCategory: null,
+            priority: this.normalizePriority(details.priority),
+            tags: this.normalizeTags(details.tags),
+            project: this.normalizeProject(details.project),
+            estimate: this.normalizeEstimate(details.estimate),
+            dueTime: this.normalizeDueTime(details.dueTime),
+            reminder: this.normalizeReminder(details.reminder),
+            subtasks: (details.subtasks || []).map(text => ({ id: Date.now() + Math.random(), text, done: false })),
             updatedAt: null
         };
         
         this.tasks[dateKey].push(newTask);
-        this.saveTasks();
+        this.saveTasks(dateKey);
         
         // Add activity
-        this.addActivity('added', newTask.text, date);
+        this.addActivity('added', newTask.text, date, newTask.id);
         
+        this.commitCommand(command);
         return newTask;
     }
 
-    updateTaskStatus(date, taskId, status, note = null) {
+    updateTaskStatus(date, taskId, status, note = null, category = null) {
         const dateKey = this.formatDateKey(date);
         const tasks = this.tasks[dateKey];
         
@@ -308,601 +1180,4918 @@ class AuroraTaskTracker {
         const taskIndex = tasks.findIndex(task => task.id === taskId);
         if (taskIndex === -1) return false;
         
+        const command = this.beginCommand(note ? 'Save note' : `Mark task ${status}`, [dateKey]);
         const task = tasks[taskIndex];
         const previousStatus = task.status;
         task.status = status;
         task.updatedAt = new Date().toISOString();
         
+        // A status that disagrees with the checklist overrides it until set back
+        if (task.subtasks && task.subtasks.length > 0) {
+            task.statusOverride = status !== this.getChecklistStatus(task);
+        }
+        
         if (status === 'completed') {
             task.completedAt = new Date().toISOString();
             task.missedNote = null;
-            this.addActivity('completed', task.text, date);
+            task.missedCategory = null;
+            this.addActivity('completed', task.text, date, task.id);
         } else if (status === 'missed') {
             task.missedAt = new Date().toISOString();
             if (note) {
                 task.missedNote = note;
+                task.missedCategory = category;
             }
-            this.addActivity('missed', task.text, date);
+            this.addActivity('missed', task.text, date, task.id);
         } else if (status === 'pending') {
             task.completedAt = null;
             task.missedAt = null;
             task.missedNote = null;
+            task.missedCategory = null;
         }
         
-        this.saveTasks();
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
         return true;
     }
 
-    addActivity(type, taskText, date) {
+    addActivity(type, taskText, date, taskId = null) {
         const activity = {
             id: Date.now(),
             type: type,
             task: taskText,
+            taskId: taskId,
             date: new Date().toISOString(),
             taskDate: this.formatDateKey(date),
             timestamp: Date.now()
         };
         
         this.activities.unshift(activity);
-        this.saveActivities();
+        this.storage.addActivity(activity);
+        this.rememberSyncedActivity(activity);
+        this.broadcastSync({ type: 'activity', activity });
         this.updateRecentActivity();
     }
 
-    // UI rendering methods
-    renderWeekView() {
-        raf(() => {
-            const weekDates = this.getWeekDates(this.currentWeekStart);
-            this.elements.weekGrid1.innerHTML = '';
-            this.elements.weekGrid2.innerHTML = '';
-            
-            // Calculate column statistics
-            let col1Completed = 0;
-            let col1Pending = 0;
-            let col2Completed = 0;
-            let col2Pending = 0;
-            
-            weekDates.forEach((date, index) => {
-                const dayCard = this.createDayCard(date, index);
-                
-                if (index < 4) {
-                    // First 4 days go to column 1
-                    this.elements.weekGrid1.appendChild(dayCard);
-                    // Update column 1 statistics
-                    const tasks = this.getTasksForDate(date);
-                    col1Completed += tasks.filter(t => t.status === 'completed').length;
-                    col1Pending += tasks.filter(t => t.status === 'pending').length;
-                } else {
-                    // Last 3 days go to column 2
-                    this.elements.weekGrid2.appendChild(dayCard);
-                    // Update column 2 statistics
-                    const tasks = this.getTasksForDate(date);
-                    col2Completed += tasks.filter(t => t.status === 'completed').length;
-                    col2Pending += tasks.filter(t => t.status === 'pending').length;
-                }
-            });
-            
-            // Update column statistics
-            this.elements.col1Completed.textContent = col1Completed;
-            this.elements.col1Pending.textContent = col1Pending;
-            this.elements.col2Completed.textContent = col2Completed;
-            this.elements.col2Pending.textContent = col2Pending;
-            
-            // Clear cache if it gets too large
-            if (this.weekCache.size > 20) {
-                this.weekCache.clear();
-            }
-        });
+    // Recurring task methods
+    getSeries(seriesId) {
+        return this.recurringTasks.find(series => series.id === seriesId) || null;
     }
 
-    createDayCard(date, index) {
-        const isToday = this.isSameDay(date, new Date());
-        const tasks = this.getTasksForDate(date);
+    // details: optional { priority, tags, project, estimate } copied onto every occurrence
+    createRecurringTask(date, taskText, rule, details = {}) {
+        if (!taskText.trim()) return null;
         
-        const dayCard = document.createElement('article');
-        dayCard.className = `day-card ${isToday ? 'today' : ''} fade-in`;
-        dayCard.setAttribute('aria-label', `Tasks for ${this.formatDateDisplay(date)}`);
-        dayCard.style.animationDelay = `${index * 0.1}s`;
-        dayCard.style.willChange = 'transform, opacity';
+        const command = this.beginCommand('Add recurring task', []);
+        const series = {
+            id: Date.now() + Math.random(),
+            text: taskText.trim(),
+            rule: rule,
+            startDate: this.formatDateKey(date),
+            exceptions: [],
+            details: {
+                priority: this.normalizePriority(details.priority),
+                tags: this.normalizeTags(details.tags),
+                project: this.normalizeProject(details.project),
+                estimate: this.normalizeEstimate(details.estimate),
+                dueTime: this.normalizeDueTime(details.dueTime),
+                reminder: this.normalizeReminder(details.reminder),
+                subtasks: []
+            },
+            createdAt: new Date().toISOString(),
+            updatedAt: null
+        };
         
-        // Calculate statistics
-        const completedCount = tasks.filter(t => t.status === 'completed').length;
-        const missedCount = tasks.filter(t => t.status === 'missed').length;
-        const pendingCount = tasks.filter(t => t.status === 'pending').length;
+        this.recurringTasks.push(series);
+        this.saveRecurringTasks();
+        this.materializedDates.clear();
         
-        // Day header
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
-        const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        this.addActivity('added', series.text, date);
         
-        dayCard.innerHTML = `
-            <header class="day-header">
-                <div class="day-info">
-                    <div class="day-name">${dayName}</div>
-                    <div class="day-date">${dateStr}</div>
-                </div>
-                <div class="day-stats" aria-label="Task statistics">
-                    ${completedCount > 0 ? `<div class="day-stat-badge completed" aria-label="${completedCount} completed tasks">${completedCount}</div>` : ''}
-                    ${missedCount > 0 ? `<div class="day-stat-badge missed" aria-label="${missedCount} missed tasks">${missedCount}</div>` : ''}
-                    ${pendingCount > 0 ? `<div class="day-stat-badge pending" aria-label="${pendingCount} pending tasks">${pendingCount}</div>` : ''}
-                </div>
-            </header>
-            
-            <div class="task-list" id="taskList-${this.formatDateKey(date)}" role="list" aria-label="Tasks for ${dayName}">
-                ${tasks.length > 0 ? 
-                    tasks.map(task => this.createTaskItemHTML(task, date)).join('') : 
-                    '<div class="empty-day" aria-label="No tasks"><div class="empty-icon">📝</div><div class="empty-text">No tasks scheduled</div><button class="add-first-task" data-date="${this.formatDateKey(date)}">Add first task</button></div>'
-                }
-            </div>
-            
-            <div class="add-task-form">
-                <input type="text" 
-                       class="add-task-input" 
-                       placeholder="Add a task for ${dayName}..."
-                       data-date="${this.formatDateKey(date)}"
-                       aria-label="New task for ${dayName}">
-                <button class="add-task-btn" data-date="${this.formatDateKey(date)}" aria-label="Add task">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M12 5v14M5 12h14"/>
-                    </svg>
-                    Add
-                </button>
-            </div>
-        `;
-        
-        // Add event listeners
-        this.setupDayCardEvents(dayCard, date);
+        this.commitCommand(command);
+        return series;
+    }
+
+    // Checks the rule pattern only (no start, end or exception handling)
+    matchesRecurrenceRule(rule, startDate, date) {
+        const dayOfWeek = date.getDay();
         
-        return dayCard;
+        switch (rule.freq) {
+            case 'daily':
+                return true;
+            case 'interval':
+                return this.daysBetween(startDate, date) % (rule.interval || 1) === 0;
+            case 'weekdays':
+                return dayOfWeek >= 1 && dayOfWeek <= 5;
+            case 'weekly':
+                return (rule.weekdays || []).includes(dayOfWeek);
+            case 'monthly': {
+                // Months shorter than the chosen day repeat on their last day
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return date.getDate() === Math.min(rule.monthDay, lastDay);
+            }
+            default:
+                return false;
+        }
     }
 
-// In the createTaskItemHTML method, update the delete button HTML:
-createTaskItemHTML(task, date) {
-    const statusClass = task.status;
-    const hasNote = task.missedNote ? 'has-note' : '';
-    const noteIcon = task.missedNote ? 
-        '<span class="note-icon" style="margin-left: 8px; font-size: 12px; color: #8b5cf6;" title="Has note">📝</span>' : '';
-    const ariaLabel = `${task.text} - ${task.status}. ${task.missedNote ? 'Has note' : ''}`;
-    
-    return `
-        <div class="task-item ${statusClass} ${hasNote}" 
-             data-task-id="${task.id}"
-             role="listitem"
-             aria-label="${ariaLabel}">
-            <div class="task-checkbox" data-action="toggle" aria-label="Toggle task completion"></div>
-            <div class="task-content">
-                <div class="task-text">${task.text}${noteIcon}</div>
-                <div class="task-meta">
-                    ${task.status === 'missed' && task.missedNote ? 
-                        '<span class="meta-icon" aria-hidden="true">💬</span> Has note' : 
-                        task.status === 'completed' && task.completedAt ? 
-                        '<span class="meta-icon" aria-hidden="true">✅</span> Completed' : 
-                        '<span class="meta-icon" aria-hidden="true">⏱️</span> Pending'
-                    }
-                </div>
-            </div>
-            <div class="task-actions">
-                <button class="task-action-btn" data-action="edit" aria-label="Edit task">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
-                        <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
-                    </svg>
-                </button>
-                <button class="task-action-btn delete-btn" data-action="delete" aria-label="Delete task" style="color: #ef4444;">
-                    <span style="font-weight: bold; font-size: 16px;">×</span>
-                </button>
-            </div>
-        </div>
-    `;
-}
+    countOccurrences(series, date) {
+        const startDate = this.parseDateKey(series.startDate);
+        const totalDays = this.daysBetween(startDate, date);
+        let count = 0;
+        
+        for (let i = 0; i <= totalDays; i++) {
+            const day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + i);
+            if (this.matchesRecurrenceRule(series.rule, startDate, day)) count++;
+        }
+        
+        return count;
+    }
 
-    setupDayCardEvents(dayCard, date) {
+    occursOn(series, date) {
         const dateKey = this.formatDateKey(date);
-        const taskInput = dayCard.querySelector(`.add-task-input[data-date="${dateKey}"]`);
-        const addButton = dayCard.querySelector(`.add-task-btn[data-date="${dateKey}"]`);
-        const addFirstTaskBtn = dayCard.querySelector('.add-first-task');
+        const rule = series.rule;
         
-        // Add task handler
-        const addTaskHandler = () => {
-            const taskText = taskInput.value.trim();
-            if (taskText) {
-                this.addTask(date, taskText);
-                taskInput.value = '';
-                this.renderWeekView();
-                this.showMessage('Task added successfully', 'success');
-            }
-        };
+        if (dateKey < series.startDate) return false;
+        if (rule.until && dateKey > rule.until) return false;
+        if (series.exceptions.includes(dateKey)) return false;
+        if (!this.matchesRecurrenceRule(rule, this.parseDateKey(series.startDate), date)) return false;
+        if (rule.count && this.countOccurrences(series, date) > rule.count) return false;
         
-        addButton.addEventListener('click', addTaskHandler);
-        taskInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') addTaskHandler();
-        });
+        return true;
+    }
+
+    // Turn recurring templates into real, independent tasks for a date
+    materializeOccurrences(date, dateKey) {
+        if (this.materializedDates.has(dateKey)) return;
+        this.materializedDates.add(dateKey);
         
-        // Add first task button
-        if (addFirstTaskBtn) {
-            addFirstTaskBtn.addEventListener('click', () => {
-                taskInput.focus();
+        let created = 0;
+        this.recurringTasks.forEach(series => {
+            const existing = (this.tasks[dateKey] || []).some(task => task.seriesId === series.id);
+            if (existing || !this.occursOn(series, date)) return;
+            
+            if (!this.tasks[dateKey]) {
+                this.tasks[dateKey] = [];
+            }
+            
+            const details = series.details || {};
+            this.tasks[dateKey].push({
+                id: Date.now() + Math.random(),
+                text: series.text,
+                status: 'pending',
+                createdAt: new Date().toISOString(),
+                completedAt: null,
+                missedNote: null,
+                missedCategory: null,
+                priority: details.priority || null,
+                tags: (details.tags || []).slice(),
+                project: details.project || null,
+                estimate: details.estimate || null,
+                dueTime: details.dueTime || null,
+                reminder: this.normalizeReminder(details.reminder),
+                subtasks: (details.subtasks || []).map(text => ({ id: Date.now() + Math.random(), text, done: false })),
+                updatedAt: null,
+                seriesId: series.id
             });
+            created++;
+        });
+        
+        if (created > 0) {
+            this.saveTasks(dateKey);
         }
+    }
+
+    describeRecurrence(rule) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        let text;
         
-        // Task checkboxes and actions
-        dayCard.addEventListener('click', (e) => {
-            const target = e.target.closest('[data-action]');
-            if (!target) return;
+        switch (rule.freq) {
+            case 'daily':
+                text = 'Every day';
+                break;
+            case 'interval':
+                text = `Every ${rule.interval} days`;
+                break;
+            case 'weekdays':
+                text = 'Weekdays';
+                break;
+            case 'weekly':
+                // Same day order as the week view
+                text = `Every ${Array.from({ length: 7 }, (_, i) => (i + this.settings.weekStart) % 7)
+                    .filter(day => rule.weekdays.includes(day))
+                    .map(day => dayNames[day])
+                    .join(', ')}`;
+                break;
+            case 'monthly':
+                text = `Monthly on day ${rule.monthDay}`;
+                break;
+            default:
+                text = 'Repeats';
+        }
+        
+        if (rule.until) {
+            const until = this.parseDateKey(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            text += ` until ${until}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+        
+        return text;
+    }
+
+    // Apply an edit to a recurring occurrence: 'this', 'following' or 'all'
+    updateRecurringTask(date, taskId, scope, taskText, rule) {
+        const task = this.findTask(date, taskId);
+        if (!task || !taskText.trim()) return false;
+        
+        const series = this.getSeries(task.seriesId);
+        const dateKey = this.formatDateKey(date);
+        const text = taskText.trim();
+        const now = new Date().toISOString();
+        // Step edits only touch their own occurrence; "following" and "all" pass this task's checklist on
+        const steps = (task.subtasks || []).map(subtask => subtask.text);
+        const seriesKeys = Object.keys(this.tasks)
+            .filter(key => this.tasks[key].some(t => t.seriesId === task.seriesId));
+        const command = this.beginCommand('Edit recurring task', seriesKeys);
+        
+        if (scope === 'this' || !series) {
+            task.text = text;
+            task.updatedAt = now;
+            this.saveTasks(dateKey);
+            this.commitCommand(command);
+            return true;
+        }
+        
+        if (scope === 'following' && dateKey > series.startDate) {
+            // End the old series the day before and continue with a new one
+            const previousDay = new Date(date);
+            previousDay.setDate(previousDay.getDate() - 1);
             
-            const action = target.dataset.action;
-            const taskItem = target.closest('.task-item');
+            const newSeries = {
+                id: Date.now() + Math.random(),
+                text: text,
+                rule: rule,
+                startDate: dateKey,
+                exceptions: series.exceptions.filter(key => key >= dateKey),
+                details: { ...series.details, subtasks: steps },
+                createdAt: now,
+                updatedAt: null
+            };
             
-            if (!taskItem) return;
+            series.rule = { ...series.rule, until: this.formatDateKey(previousDay), count: null };
+            series.exceptions = series.exceptions.filter(key => key < dateKey);
+            series.updatedAt = now;
+            this.recurringTasks.push(newSeries);
             
-            const taskId = parseFloat(taskItem.dataset.taskId);
+            this.rebaseOccurrences(series.id, newSeries, key => key >= dateKey);
+        } else {
+            series.text = text;
+            series.rule = rule;
+            series.details = { ...series.details, subtasks: steps };
+            series.updatedAt = now;
             
-            switch(action) {
-                case 'toggle':
-                    const currentStatus = taskItem.classList.contains('completed') ? 'pending' : 'completed';
-                    this.updateTaskStatus(date, taskId, currentStatus);
-                    this.renderWeekView();
-                    this.showMessage(`Task marked as ${currentStatus}`, 'success');
-                    break;
-                    
-                case 'edit':
-                    // For now, just toggle completion
-                    const editStatus = taskItem.classList.contains('completed') ? 'pending' : 'completed';
-                    this.updateTaskStatus(date, taskId, editStatus);
-                    this.renderWeekView();
-                    this.showMessage(`Task marked as ${editStatus}`, 'success');
-                    break;
-                    
-                case 'delete':
-                    if (confirm('Are you sure you want to delete this task?')) {
-                        this.deleteTask(date, taskId);
-                        this.renderWeekView();
-                        this.showMessage('Task deleted', 'info');
-                    }
-                    break;
-            }
-        });
+            this.rebaseOccurrences(series.id, series, () => true);
+        }
         
-        // MARK TASK AS MISSED - THIS IS WHERE THE NOTE MODAL OPENS
-        // We'll add a special handler for marking tasks as missed
-        dayCard.addEventListener('contextmenu', (e) => {
-            const taskItem = e.target.closest('.task-item');
-            if (!taskItem) return;
-            
-            e.preventDefault();
+        this.saveRecurringTasks();
+        this.materializedDates.clear();
+        this.saveTasks();
+        this.commitCommand(command);
+        return true;
+    }
+
+    // Move matching occurrences onto a series, dropping pending ones that no longer fit its rule
+    rebaseOccurrences(oldSeriesId, series, inRange) {
+        const now = new Date().toISOString();
+        
+        Object.keys(this.tasks).forEach(dateKey => {
+            if (!inRange(dateKey)) return;
             
-            const taskId = parseFloat(taskItem.dataset.taskId);
+            const date = this.parseDateKey(dateKey);
+            this.tasks[dateKey] = this.tasks[dateKey].filter(task => {
+                if (task.seriesId !== oldSeriesId) return true;
+                if (task.status === 'pending' && !this.occursOn(series, date)) return false;
+                
+                task.seriesId = series.id;
+                task.text = series.text;
+                // Steps follow the series until one is ticked off on that day
+                if (task.status === 'pending' && !(task.subtasks || []).some(subtask => subtask.done)) {
+                    task.subtasks = (series.details.subtasks || []).map(step => ({ id: Date.now() + Math.random(), text: step, done: false }));
+                }
+                task.updatedAt = now;
+                return true;
+            });
             
-            // Only allow marking as missed for pending tasks
-            if (!taskItem.classList.contains('pending')) return;
+            if (this.tasks[dateKey].length === 0) {
+                delete this.tasks[dateKey];
+            }
+        });
+    }
+
+    openRecurrenceModal(date, taskId = null, taskText = '') {
+        const task = taskId !== null ? this.findTask(date, taskId) : null;
+        const series = task ? this.getSeries(task.seriesId) : null;
+        const rule = series ? series.rule : { freq: 'daily' };
+        
+        this.currentRecurrenceData = { date, taskId: task ? task.id : null };
+        this.elements.recurrenceTitle.textContent = task ? 'Edit Recurring Task' : 'Repeat Task';
+        this.elements.recurrenceText.value = task ? task.text : taskText;
+        this.elements.recurrenceFreq.value = rule.freq;
+        this.elements.recurrenceInterval.value = rule.interval || 2;
+        this.elements.recurrenceMonthDay.value = rule.monthDay || date.getDate();
+        this.elements.recurrenceWeekdays.querySelectorAll('input').forEach(input => {
+            const weekdays = rule.weekdays || [date.getDay()];
+            input.checked = weekdays.includes(Number(input.value));
+        });
+        this.elements.recurrenceEnd.value = rule.until ? 'until' : rule.count ? 'count' : 'never';
+        this.elements.recurrenceUntil.value = rule.until || '';
+        this.elements.recurrenceCount.value = rule.count || 10;
+        this.elements.recurrenceScope.style.display = task ? '' : 'none';
+        this.elements.recurrenceScope.querySelector('input[value="this"]').checked = true;
+        this.updateRecurrenceFields();
+        
+        this.elements.recurrenceModal.setAttribute('aria-hidden', 'false');
+        this.elements.recurrenceModal.style.display = 'flex';
+        
+        setTimeout(() => {
+            this.elements.recurrenceText.focus();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeRecurrenceModal() {
+        this.elements.recurrenceModal.setAttribute('aria-hidden', 'true');
+        this.elements.recurrenceModal.style.display = 'none';
+        this.currentRecurrenceData = null;
+        
+        document.body.style.overflow = '';
+    }
+
+    // Show only the inputs relevant to the selected frequency and end option
+    updateRecurrenceFields() {
+        const freq = this.elements.recurrenceFreq.value;
+        const end = this.elements.recurrenceEnd.value;
+        const scope = this.elements.recurrenceScope.querySelector('input:checked').value;
+        const isEditingOne = this.currentRecurrenceData && this.currentRecurrenceData.taskId !== null && scope === 'this';
+        
+        // A single occurrence can only change its text, not the schedule
+        this.elements.recurrenceModal.querySelectorAll('select, input[type="number"], input[type="date"], #recurrenceWeekdays input')
+            .forEach(input => { input.disabled = isEditingOne; });
+        
+        this.elements.recurrenceIntervalField.style.display = freq === 'interval' ? '' : 'none';
+        this.elements.recurrenceMonthDayField.style.display = freq === 'monthly' ? '' : 'none';
+        this.elements.recurrenceWeekdays.style.display = freq === 'weekly' ? '' : 'none';
+        this.elements.recurrenceUntilField.style.display = end === 'until' ? '' : 'none';
+        this.elements.recurrenceCountField.style.display = end === 'count' ? '' : 'none';
+    }
+
+    readRecurrenceRule() {
+        const freq = this.elements.recurrenceFreq.value;
+        const end = this.elements.recurrenceEnd.value;
+        const rule = { freq, until: null, count: null };
+        
+        if (freq === 'interval') {
+            rule.interval = Math.max(2, parseInt(this.elements.recurrenceInterval.value) || 2);
+        } else if (freq === 'weekly') {
+            rule.weekdays = [...this.elements.recurrenceWeekdays.querySelectorAll('input:checked')]
+                .map(input => Number(input.value));
+            if (rule.weekdays.length === 0) return null;
+        } else if (freq === 'monthly') {
+            rule.monthDay = Math.min(31, Math.max(1, parseInt(this.elements.recurrenceMonthDay.value) || 1));
+        }
+        
+        if (end === 'until') {
+            if (!this.elements.recurrenceUntil.value) return null;
+            rule.until = this.elements.recurrenceUntil.value;
+        } else if (end === 'count') {
+            rule.count = Math.max(1, parseInt(this.elements.recurrenceCount.value) || 1);
+        }
+        
+        return rule;
+    }
+
+    saveRecurrence() {
+        if (!this.currentRecurrenceData) return;
+        
+        const text = this.elements.recurrenceText.value.trim();
+        const rule = this.readRecurrenceRule();
+        
+        if (!text) {
+            this.showMessage('Please enter a task.', 'warning');
+            return;
+        }
+        
+        if (!rule) {
+            this.showMessage('Please complete the repeat settings.', 'warning');
+            return;
+        }
+        
+        const { date, taskId } = this.currentRecurrenceData;
+        
+        if (taskId !== null) {
+            const scope = this.elements.recurrenceScope.querySelector('input:checked').value;
+            this.updateRecurringTask(date, taskId, scope, text, rule);
+            this.showUndoableMessage('Recurring task updated', 'success');
+        } else {
+            this.createRecurringTask(date, text, rule);
+            this.showUndoableMessage(`Task repeats: ${this.describeRecurrence(rule)}`, 'success');
+        }
+        
+        this.closeRecurrenceModal();
+        this.renderCalendar();
+    }
+
+    // Undo/redo history methods
+    loadHistory() {
+        try {
+            // Session-scoped so a reload can still undo, but a new visit starts clean
+            const historyJSON = sessionStorage.getItem('auroraHistory');
+            return historyJSON ? JSON.parse(historyJSON) : { undo: [], redo: [] };
+        } catch (error) {
+            console.error('Error loading history:', error);
+            return { undo: [], redo: [] };
+        }
+    }
+
+    saveHistory() {
+        try {
+            // Keep only the last 50 commands
+            if (this.history.undo.length > 50) {
+                this.history.undo = this.history.undo.slice(-50);
+            }
+            sessionStorage.setItem('auroraHistory', JSON.stringify(this.history));
+        } catch (error) {
+            console.error('Error saving history:', error);
+        }
+    }
+
+    snapshotState(dateKeys) {
+        const days = {};
+        dateKeys.forEach(dateKey => {
+            days[dateKey] = this.tasks[dateKey] ? JSON.parse(JSON.stringify(this.tasks[dateKey])) : null;
+        });
+        return { days, recurring: JSON.parse(JSON.stringify(this.recurringTasks)) };
+    }
+
+    // Start recording a mutation; nested calls fold into the outer command
+    beginCommand(label, dateKeys) {
+        if (this.activeCommand) return null;
+        
+        const keys = [...new Set(dateKeys)];
+        this.activeCommand = { label, dateKeys: keys, before: this.snapshotState(keys) };
+        return this.activeCommand;
+    }
+
+    commitCommand(command) {
+        if (!command || command !== this.activeCommand) return;
+        this.activeCommand = null;
+        
+        command.after = this.snapshotState(command.dateKeys);
+        command.timestamp = Date.now();
+        
+        this.history.undo.push(command);
+        this.history.redo = [];
+        this.saveHistory();
+    }
+
+    // Items whose JSON differs between two snapshots of the same list, by id
+    changedIds(before, after) {
+        const json = new Map((before || []).map(item => [item.id, JSON.stringify(item)]));
+        const changed = new Set((before || []).map(item => item.id));
+        (after || []).forEach(item => {
+            if (json.get(item.id) === JSON.stringify(item)) {
+                changed.delete(item.id);
+            } else {
+                changed.add(item.id);
+            }
+        });
+        return changed;
+    }
+
+    // Puts the changed items back to their target versions and leaves every other item alone;
+    // returns the new list. Restored versions count as new edits, so they win when other tabs merge.
+    restoreItems(current, target, changed, now) {
+        const targetById = new Map((target || []).map(item => [item.id, item]));
+        const restored = (current || [])
+            .filter(item => !changed.has(item.id) || targetById.has(item.id))
+            .map(item => {
+                if (!changed.has(item.id)) return item;
+                const version = targetById.get(item.id);
+                return JSON.stringify(version) === JSON.stringify(item) ? item :
+                    JSON.parse(JSON.stringify({ ...version, updatedAt: now }));
+            });
+        
+        (target || []).forEach((item, index) => {
+            if (!changed.has(item.id) || restored.some(other => other.id === item.id)) return;
+            restored.splice(Math.min(index, restored.length), 0, JSON.parse(JSON.stringify({ ...item, updatedAt: now })));
+        });
+        return restored;
+    }
+
+    // Undo/redo touches only the tasks and series the command changed (between state and other),
+    // so tasks another tab added to the same days since are kept
+    restoreState(state, other) {
+        const changedKeys = Object.keys(state.days);
+        const now = new Date().toISOString();
+        
+        Object.entries(state.days).forEach(([dateKey, tasks]) => {
+            const changed = this.changedIds(tasks, other.days[dateKey]);
+            const restored = this.restoreItems(this.tasks[dateKey], tasks, changed, now);
+            if (restored.length > 0) {
+                this.tasks[dateKey] = restored;
+            } else {
+                delete this.tasks[dateKey];
+            }
+        });
+        this.recurringTasks = this.restoreItems(this.recurringTasks, state.recurring,
+            this.changedIds(state.recurring, other.recurring), now);
+        
+        // Drop untouched occurrences of series that no longer exist
+        Object.keys(this.tasks).forEach(dateKey => {
+            const tasks = this.tasks[dateKey].filter(task => 
+                !task.seriesId || task.status !== 'pending' || this.getSeries(task.seriesId));
+            if (tasks.length === this.tasks[dateKey].length) return;
             
-            // Open note modal for marking as missed
-            this.openNoteModalForMissedTask(date, taskId, taskItem);
-            return false;
+            changedKeys.push(dateKey);
+            if (tasks.length > 0) {
+                this.tasks[dateKey] = tasks;
+            } else {
+                delete this.tasks[dateKey];
+            }
         });
         
-        // Also allow clicking on missed status badge to add note
-        dayCard.addEventListener('click', (e) => {
-            const target = e.target.closest('.day-stat-badge.missed');
-            if (target) {
-                // Find first pending task to mark as missed
-                const pendingTask = dayCard.querySelector('.task-item.pending');
-                if (pendingTask) {
-                    const taskId = parseFloat(pendingTask.dataset.taskId);
-                    this.openNoteModalForMissedTask(date, taskId, pendingTask);
-                }
+        this.materializedDates.clear();
+        this.saveRecurringTasks();
+        this.saveTasks(...changedKeys);
+        this.renderCalendar();
+        if (this.elements.weeklyReviewModal.style.display === 'flex') this.refreshWeeklyReview();
+    }
+
+    undo() {
+        const command = this.history.undo.pop();
+        if (!command) {
+            this.showMessage('Nothing to undo', 'info');
+            return false;
+        }
+        
+        this.restoreState(command.before, command.after);
+        this.history.redo.push(command);
+        this.saveHistory();
+        this.showMessage(`Undone: ${command.label}`, 'info', { label: 'Redo', onClick: () => this.redo() });
+        return true;
+    }
+
+    redo() {
+        const command = this.history.redo.pop();
+        if (!command) {
+            this.showMessage('Nothing to redo', 'info');
+            return false;
+        }
+        
+        this.restoreState(command.after, command.before);
+        this.history.undo.push(command);
+        this.saveHistory();
+        this.showMessage(`Redone: ${command.label}`, 'info', { label: 'Undo', onClick: () => this.undo() });
+        return true;
+    }
+
+    // Toast with an Undo button for the command that was just recorded
+    showUndoableMessage(message, type = 'success') {
+        this.showMessage(message, type, { label: 'Undo', onClick: () => this.undo() });
+    }
+
+    // Backup export & import methods
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    createBackup() {
+        return {
+            app: 'AURORA',
+            schemaVersion: BACKUP_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            tasks: this.tasks,
+            recurringTasks: this.recurringTasks,
+            templates: this.templates,
+            weeklyReviews: this.weeklyReviews,
+            journal: this.journal,
+            activities: this.activities,
+            settings: this.settings
+        };
+    }
+
+    exportBackup() {
+        const backup = this.createBackup();
+        const filename = `aurora-backup-${this.formatDateKey(new Date())}.json`;
+        this.downloadFile(filename, JSON.stringify(backup, null, 2), 'application/json');
+        this.showMessage('Backup exported', 'success');
+    }
+
+    // Bring a parsed backup up to the current schema, one version at a time
+    upgradeBackup(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Backup file is not a valid AURORA backup.');
+        }
+        
+        let backup = data;
+        
+        // Version 1: the raw 'auroraTasks' map, optionally wrapped with activities
+        if (!backup.schemaVersion) {
+            backup = backup.tasks ? { ...backup, schemaVersion: 1 } : { tasks: backup, schemaVersion: 1 };
+        }
+        
+        if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+            throw new Error('This backup was made by a newer version of AURORA.');
+        }
+        
+        const upgrades = {
+            // 1 -> 2: recurring tasks and settings were added
+            1: (old) => ({ ...old, recurringTasks: [], settings: {}, activities: old.activities || [] }),
+            // 2 -> 3: date keys switched from UTC to local days
+            2: (old) => this.rekeyLegacyData(old),
+            // 3 -> 4: task templates were added
+            3: (old) => ({ ...old, templates: [] }),
+            // 4 -> 5: weekly reviews were added
+            4: (old) => ({ ...old, weeklyReviews: [] }),
+            // 5 -> 6: the day journal was added
+            5: (old) => ({ ...old, journal: {} })
+        };
+        
+        while (backup.schemaVersion < BACKUP_SCHEMA_VERSION) {
+            backup = { ...upgrades[backup.schemaVersion](backup), schemaVersion: backup.schemaVersion + 1 };
+        }
+        
+        return backup;
+    }
+
+    validateBackup(backup) {
+        const statuses = ['pending', 'completed', 'missed'];
+        
+        if (!backup.tasks || typeof backup.tasks !== 'object' || Array.isArray(backup.tasks)) {
+            throw new Error('Backup has no task data.');
+        }
+        
+        Object.entries(backup.tasks).forEach(([dateKey, tasks]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !Array.isArray(tasks)) {
+                throw new Error(`Invalid day entry "${dateKey}" in backup.`);
+            }
+            tasks.forEach(task => {
+                if (!task || typeof task.id !== 'number' || typeof task.text !== 'string' || !statuses.includes(task.status)) {
+                    throw new Error(`Invalid task on ${dateKey} in backup.`);
+                }
+            });
+        });
+        
+        if (!Array.isArray(backup.recurringTasks) || !Array.isArray(backup.activities) ||
+            backup.activities.some(activity => !activity || typeof activity !== 'object')) {
+            throw new Error('Backup has invalid recurring task or activity data.');
+        }
+        
+        backup.recurringTasks.forEach(series => {
+            if (!series || typeof series.id !== 'number' || typeof series.text !== 'string' ||
+                !series.rule || typeof series.rule.freq !== 'string' ||
+                !/^\d{4}-\d{2}-\d{2}$/.test(series.startDate) ||
+                !Array.isArray(series.exceptions) || series.exceptions.some(dateKey => typeof dateKey !== 'string') ||
+                (series.details !== undefined && (!series.details || typeof series.details !== 'object'))) {
+                throw new Error('Backup has an invalid recurring task.');
+            }
+        });
+        
+        if (!Array.isArray(backup.templates)) {
+            throw new Error('Backup has invalid template data.');
+        }
+        backup.templates.forEach(template => {
+            try {
+                this.validateTemplate(template);
+            } catch (error) {
+                throw new Error('Backup has an invalid template.');
+            }
+        });
+        
+        if (!Array.isArray(backup.weeklyReviews) ||
+            backup.weeklyReviews.some(review => !review || !/^\d{4}-W\d{2}$/.test(review.id))) {
+            throw new Error('Backup has invalid weekly review data.');
+        }
+        
+        if (!backup.journal || typeof backup.journal !== 'object' || Array.isArray(backup.journal) ||
+            Object.keys(backup.journal).some(dateKey => !/^\d{4}-\d{2}-\d{2}$/.test(dateKey))) {
+            throw new Error('Backup has invalid journal data.');
+        }
+        
+        return backup;
+    }
+
+    getTaskStamp(task) {
+        return Date.parse(task.updatedAt || task.completedAt || task.createdAt) || 0;
+    }
+
+    isSameTask(a, b) {
+        return a.text === b.text && a.status === b.status &&
+               (a.missedNote || null) === (b.missedNote || null) &&
+               (a.missedCategory || null) === (b.missedCategory || null) &&
+               this.getTaskStamp(a) === this.getTaskStamp(b);
+    }
+
+    indexTasksById(tasksByDate) {
+        const index = new Map();
+        Object.entries(tasksByDate).forEach(([dateKey, tasks]) => {
+            tasks.forEach(task => index.set(task.id, { dateKey, task }));
+        });
+        return index;
+    }
+
+    // Compare a backup with current data by task id
+    analyzeImport(backup) {
+        const current = this.indexTasksById(this.tasks);
+        const result = { added: 0, identical: 0, conflicts: [] };
+        
+        Object.entries(backup.tasks).forEach(([dateKey, tasks]) => {
+            tasks.forEach(task => {
+                const existing = current.get(task.id);
+                if (!existing) {
+                    result.added++;
+                } else if (existing.dateKey === dateKey && this.isSameTask(existing.task, task)) {
+                    result.identical++;
+                } else {
+                    result.conflicts.push({ dateKey, task, existing });
+                }
+            });
+        });
+        
+        return result;
+    }
+
+    async readBackupFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const backup = this.validateBackup(this.upgradeBackup(data));
+            this.openImportModal(backup, this.analyzeImport(backup));
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            this.showError(error instanceof SyntaxError ? 'Backup file is not valid JSON.' : error.message);
+        }
+    }
+
+    openImportModal(backup, analysis) {
+        this.pendingImport = backup;
+        const total = Object.values(backup.tasks).reduce((sum, tasks) => sum + tasks.length, 0);
+        
+        this.elements.importSummary.textContent = 
+            `${total} tasks in backup: ${analysis.added} new, ${analysis.identical} unchanged, ` +
+            `${analysis.conflicts.length} conflicting.`;
+        
+        this.elements.importConflicts.innerHTML = '';
+        analysis.conflicts.slice(0, 20).forEach(({ dateKey, task, existing }) => {
+            const item = document.createElement('div');
+            item.className = 'import-conflict';
+            item.setAttribute('role', 'listitem');
+            item.textContent = `${dateKey}: "${existing.task.text}" (${existing.task.status}) ↔ "${task.text}" (${task.status})`;
+            this.elements.importConflicts.appendChild(item);
+        });
+        
+        if (analysis.conflicts.length > 20) {
+            const more = document.createElement('div');
+            more.className = 'import-conflict';
+            more.textContent = `…and ${analysis.conflicts.length - 20} more`;
+            this.elements.importConflicts.appendChild(more);
+        }
+        
+        this.elements.importModal.querySelector('input[value="merge"]').checked = true;
+        this.elements.importPolicyField.style.display = '';
+        this.elements.importModal.setAttribute('aria-hidden', 'false');
+        this.elements.importModal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeImportModal() {
+        this.elements.importModal.setAttribute('aria-hidden', 'true');
+        this.elements.importModal.style.display = 'none';
+        this.pendingImport = null;
+        
+        document.body.style.overflow = '';
+    }
+
+    confirmImport() {
+        if (!this.pendingImport) return;
+        
+        const mode = this.elements.importModal.querySelector('input[name="importMode"]:checked').value;
+        
+        if (mode === 'replace' && !confirm('Replace all current tasks with the backup? This cannot be undone.')) {
+            return;
+        }
+        
+        this.importBackup(this.pendingImport, mode, this.elements.importPolicy.value);
+        this.closeImportModal();
+        this.showMessage(mode === 'replace' ? 'Backup restored' : 'Backup merged', 'success');
+    }
+
+    // mode: 'replace' | 'merge'; policy (merge only): 'newer' | 'current' | 'backup'
+    importBackup(backup, mode, policy = 'newer') {
+        const copy = JSON.parse(JSON.stringify(backup));
+        
+        if (mode === 'replace') {
+            this.tasks = copy.tasks;
+            this.recurringTasks = copy.recurringTasks;
+            this.templates = copy.templates;
+            this.weeklyReviews = copy.weeklyReviews;
+            this.journal = copy.journal;
+            this.activities = copy.activities;
+            this.settings = { ...DEFAULT_SETTINGS, ...copy.settings };
+        } else {
+            this.mergeTasks(copy.tasks, policy);
+            this.recurringTasks = this.mergeById(this.recurringTasks, copy.recurringTasks, policy);
+            this.templates = this.mergeById(this.templates, copy.templates, policy);
+            this.weeklyReviews = this.mergeById(this.weeklyReviews, copy.weeklyReviews, policy);
+            Object.entries(copy.journal).forEach(([dateKey, entry]) => {
+                if (!this.journal[dateKey] || this.shouldUseBackup(this.journal[dateKey], entry, policy)) {
+                    this.journal[dateKey] = entry;
+                }
+            });
+            
+            const seen = new Set(this.activities.map(a => `${a.timestamp}|${a.type}|${a.task}`));
+            this.activities = this.activities
+                .concat(copy.activities.filter(a => !seen.has(`${a.timestamp}|${a.type}|${a.task}`)))
+                .sort((a, b) => b.timestamp - a.timestamp);
+            
+            this.settings = { ...DEFAULT_SETTINGS, ...copy.settings, ...this.settings };
+        }
+        
+        // Snapshots in the undo history no longer match the data
+        this.history = { undo: [], redo: [] };
+        this.saveHistory();
+        
+        this.materializedDates.clear();
+        this.saveRecurringTasks();
+        this.saveTemplates();
+        this.saveWeeklyReviews();
+        this.saveJournal();
+        this.saveActivities();
+        this.saveSettings();
+        this.saveTasks();
+        this.renderSettings();
+        this.renderCalendar();
+        this.updateRecentActivity();
+    }
+
+    shouldUseBackup(current, incoming, policy) {
+        return policy === 'backup' ||
+               (policy === 'newer' && this.getTaskStamp(incoming) > this.getTaskStamp(current));
+    }
+
+    mergeTasks(incomingTasks, policy) {
+        const current = this.indexTasksById(this.tasks);
+        
+        Object.entries(incomingTasks).forEach(([dateKey, tasks]) => {
+            tasks.forEach(task => {
+                const existing = current.get(task.id);
+                
+                if (existing) {
+                    if (!this.shouldUseBackup(existing.task, task, policy)) return;
+                    
+                    const list = this.tasks[existing.dateKey];
+                    
+                    // Same day: replace in place to keep the task's position
+                    if (existing.dateKey === dateKey) {
+                        list[list.indexOf(existing.task)] = task;
+                        return;
+                    }
+                    
+                    list.splice(list.indexOf(existing.task), 1);
+                    if (list.length === 0) {
+                        delete this.tasks[existing.dateKey];
+                    }
+                }
+                
+                if (!this.tasks[dateKey]) {
+                    this.tasks[dateKey] = [];
+                }
+                this.tasks[dateKey].push(task);
+            });
+        });
+    }
+
+    mergeById(currentItems, incomingItems, policy) {
+        const merged = currentItems.slice();
+        
+        incomingItems.forEach(item => {
+            const index = merged.findIndex(existing => existing.id === item.id);
+            if (index === -1) {
+                merged.push(item);
+            } else if (this.shouldUseBackup(merged[index], item, policy)) {
+                merged[index] = item;
+            }
+        });
+        
+        return merged;
+    }
+
+    // CSV & iCalendar report methods
+    getExportRange(range) {
+        let start;
+        let end;
+        
+        if (range === 'week') {
+            start = new Date(this.currentWeekStart);
+            end = new Date(start);
+            end.setDate(end.getDate() + 6);
+        } else if (range === 'month') {
+            start = new Date(this.selectedMonth.year, this.selectedMonth.month, 1);
+            end = new Date(this.selectedMonth.year, this.selectedMonth.month + 1, 0);
+        } else {
+            start = new Date(this.selectedMonth.year, 0, 1);
+            end = new Date(this.selectedMonth.year, 11, 31);
+        }
+        
+        return { startKey: this.formatDateKey(start), endKey: this.formatDateKey(end) };
+    }
+
+    // Stored tasks within a date-key range, as [dateKey, task] pairs in date order
+    getTasksInRange(startKey, endKey) {
+        return Object.keys(this.tasks)
+            .filter(dateKey => dateKey >= startKey && dateKey <= endKey)
+            .sort()
+            .flatMap(dateKey => this.tasks[dateKey].map(task => [dateKey, task]));
+    }
+
+    // Journal entries within a date-key range, as [dateKey, entry] pairs in date order
+    getJournalInRange(startKey, endKey) {
+        return Object.keys(this.journal)
+            .filter(dateKey => dateKey >= startKey && dateKey <= endKey)
+            .sort()
+            .map(dateKey => [dateKey, this.journal[dateKey]]);
+    }
+
+    exportReport(range, format) {
+        const { startKey, endKey } = this.getExportRange(range);
+        const entries = this.getTasksInRange(startKey, endKey);
+        const journal = this.getJournalInRange(startKey, endKey);
+        
+        if (format === 'journal') {
+            if (journal.length === 0) {
+                this.showMessage('No journal entries in the selected range', 'warning');
+                return;
+            }
+            this.downloadFile(`aurora-journal-${startKey}-to-${endKey}.csv`, this.createJournalCsv(journal), 'text/csv;charset=utf-8');
+            this.showMessage(`Exported ${journal.length} journal ${journal.length === 1 ? 'entry' : 'entries'}`, 'success');
+            return;
+        }
+        
+        // Calendar files carry the journal as VJOURNAL entries alongside the tasks
+        if (entries.length === 0 && (format === 'csv' || journal.length === 0)) {
+            this.showMessage('No tasks in the selected range', 'warning');
+            return;
+        }
+        
+        const baseName = `aurora-${startKey}-to-${endKey}`;
+        if (format === 'csv') {
+            this.downloadFile(`${baseName}.csv`, this.createCsv(entries), 'text/csv;charset=utf-8');
+        } else {
+            this.downloadFile(`${baseName}.ics`, this.createIcs(entries, format, journal), 'text/calendar;charset=utf-8');
+        }
+        
+        this.showMessage(format === 'csv' || journal.length === 0 ? `Exported ${entries.length} tasks` :
+            `Exported ${entries.length} tasks and ${journal.length} journal ${journal.length === 1 ? 'entry' : 'entries'}`, 'success');
+    }
+
+    escapeCsvValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        
+        // Stop spreadsheets from treating task text as a formula
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    createCsv(entries) {
+        const header = ['date', 'text', 'status', 'subtasksDone', 'priority', 'project', 'tags', 'estimateMinutes', 'trackedMinutes',
+                        'dueTime', 'reminderMinutes', 'createdAt', 'completedAt', 'missedAt', 'missedNote', 'missedCategory'];
+        const rows = entries.map(([dateKey, task]) => [
+            dateKey, task.text, task.status,
+            task.subtasks && task.subtasks.length > 0 ? `${task.subtasks.filter(s => s.done).length}/${task.subtasks.length}` : '',
+            task.priority, task.project, (task.tags || []).join(' '), task.estimate, task.trackedMinutes,
+            task.dueTime, task.reminder, task.createdAt, task.completedAt, task.missedAt, task.missedNote, task.missedCategory
+        ].map(value => this.escapeCsvValue(value)).join(','));
+        
+        // BOM so Excel opens the file as UTF-8
+        return '\uFEFF' + [header.join(','), ...rows].join('\r\n');
+    }
+
+    // One row per journaled day, with that day's completion so mood and energy can be charted against it
+    createJournalCsv(journal) {
+        const header = ['date', 'mood', 'moodLabel', 'energy', 'tasks', 'completed', 'completionRate', 'journal', 'updatedAt'];
+        const rows = journal.map(([dateKey, entry]) => {
+            const day = this.getDaySummary(dateKey);
+            const mood = MOOD_LEVELS.find(level => level.value === entry.mood);
+            return [
+                dateKey, entry.mood, mood ? mood.label : '', entry.energy, day.total, day.completed,
+                day.total > 0 ? Math.round((day.completed / day.total) * 100) : '', entry.text, entry.updatedAt
+            ].map(value => this.escapeCsvValue(value)).join(',');
+        });
+        
+        return '\uFEFF' + [header.join(','), ...rows].join('\r\n');
+    }
+
+    escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    formatIcsTimestamp(isoString) {
+        return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Fold content lines to 75 octets as RFC 5545 requires
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+
+    // component: 'VEVENT' (all-day events) or 'VTODO' (to-dos due that day); journal days become VJOURNALs
+    createIcs(entries, component, journal = []) {
+        const statusMap = { completed: 'COMPLETED', missed: 'CANCELLED', pending: 'NEEDS-ACTION' };
+        const now = this.formatIcsTimestamp(new Date().toISOString());
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//AURORA Task Tracker//EN', 'CALSCALE:GREGORIAN'];
+        
+        entries.forEach(([dateKey, task]) => {
+            const day = dateKey.replace(/-/g, '');
+            const nextDay = new Date(this.parseDateKey(dateKey));
+            nextDay.setDate(nextDay.getDate() + 1);
+            
+            lines.push(`BEGIN:${component}`);
+            lines.push(`UID:${task.id}@aurora-task-tracker`);
+            lines.push(`DTSTAMP:${now}`);
+            lines.push(`SUMMARY:${this.escapeIcsText(task.text)}`);
+            
+            if (component === 'VTODO') {
+                // DUE has to come after DTSTART, so the to-do is due as the next day begins
+                lines.push(`DTSTART;VALUE=DATE:${day}`);
+                lines.push(`DUE;VALUE=DATE:${this.formatDateKey(nextDay).replace(/-/g, '')}`);
+                lines.push(`STATUS:${statusMap[task.status]}`);
+                if (task.completedAt) lines.push(`COMPLETED:${this.formatIcsTimestamp(task.completedAt)}`);
+            } else {
+                // VEVENT has no COMPLETED status, so the exact one travels in X-AURORA-STATUS
+                lines.push(`DTSTART;VALUE=DATE:${day}`);
+                lines.push(`DTEND;VALUE=DATE:${this.formatDateKey(nextDay).replace(/-/g, '')}`);
+                lines.push(`STATUS:${task.status === 'missed' ? 'CANCELLED' : 'CONFIRMED'}`);
+                lines.push('TRANSP:TRANSPARENT');
+            }
+            
+            lines.push(`X-AURORA-STATUS:${statusMap[task.status]}`);
+            if (task.createdAt) lines.push(`CREATED:${this.formatIcsTimestamp(task.createdAt)}`);
+            if (task.missedNote) lines.push(`DESCRIPTION:${this.escapeIcsText(task.missedNote)}`);
+            // iCalendar priorities run 1 (highest) to 9, so P1-P4 map to 1, 3, 5, 7
+            if (task.priority) lines.push(`PRIORITY:${task.priority * 2 - 1}`);
+            if (task.tags && task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(tag => this.escapeIcsText(tag)).join(',')}`);
+            if (task.project) lines.push(`X-AURORA-PROJECT:${this.escapeIcsText(task.project)}`);
+            if (task.estimate) lines.push(`X-AURORA-ESTIMATE:${task.estimate}`);
+            lines.push(`END:${component}`);
+        });
+        
+        journal.forEach(([dateKey, entry]) => {
+            lines.push('BEGIN:VJOURNAL');
+            lines.push(`UID:journal-${dateKey}@aurora-task-tracker`);
+            lines.push(`DTSTAMP:${now}`);
+            lines.push(`DTSTART;VALUE=DATE:${dateKey.replace(/-/g, '')}`);
+            lines.push(`SUMMARY:${this.escapeIcsText(`Journal · ${this.describeJournalEntry(entry)}`)}`);
+            if (entry.text) lines.push(`DESCRIPTION:${this.escapeIcsText(entry.text)}`);
+            if (entry.mood) lines.push(`X-AURORA-MOOD:${entry.mood}`);
+            if (entry.energy) lines.push(`X-AURORA-ENERGY:${entry.energy}`);
+            lines.push('END:VJOURNAL');
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    unescapeIcsText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    // Returns { dateKey, task } for each VTODO/VEVENT in the file
+    parseIcs(content) {
+        const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const statusMap = { COMPLETED: 'completed', CANCELLED: 'missed' };
+        const items = [];
+        let current = null;
+        
+        lines.forEach(line => {
+            if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) {
+                current = {};
+                return;
+            }
+            if (/^END:(VTODO|VEVENT)$/i.test(line)) {
+                if (current) items.push(current);
+                current = null;
+                return;
+            }
+            if (!current) return;
+            
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            current[name] = line.slice(separator + 1);
+        });
+        
+        return items.map(item => {
+            const dateValue = item.DTSTART || item.DUE;
+            if (!item.SUMMARY || !dateValue) return null;
+            
+            const match = dateValue.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+            if (!match) return null;
+            const [, y, mo, d, h, mi, s, utc] = match;
+            
+            // Impossible dates like 20261340 would roll over into another day, as in parseRoute
+            let dateKey = `${y}-${mo}-${d}`;
+            if (this.formatDateKey(this.parseDateKey(dateKey)) !== dateKey) return null;
+            if (h !== undefined) {
+                if (h > 23 || mi > 59 || s > 60) return null;
+                const date = utc ? new Date(Date.UTC(y, mo - 1, d, h, mi, s)) : new Date(y, mo - 1, d, h, mi, s);
+                dateKey = this.formatDateKey(date);
+            }
+            
+            const status = statusMap[(item['X-AURORA-STATUS'] || item.STATUS || '').toUpperCase()] || 'pending';
+            const uidMatch = (item.UID || '').match(/^([\d.]+)@aurora-task-tracker$/);
+            const description = item.DESCRIPTION ? this.unescapeIcsText(item.DESCRIPTION) : null;
+            const priority = parseInt(item.PRIORITY, 10);
+            const now = new Date().toISOString();
+            
+            return {
+                dateKey,
+                task: {
+                    id: uidMatch ? parseFloat(uidMatch[1]) : Date.now() + Math.random(),
+                    text: this.unescapeIcsText(item.SUMMARY).trim(),
+                    status: status,
+                    createdAt: now,
+                    completedAt: status === 'completed' ? now : null,
+                    missedAt: status === 'missed' ? now : null,
+                    missedNote: status === 'missed' ? description : null,
+                    priority: priority > 0 ? Math.min(4, Math.ceil(priority / 2)) : null,
+                    // Commas separate categories unless escaped
+                    tags: this.normalizeTags((item.CATEGORIES || '').split(/(?<!\\),/).map(tag => this.unescapeIcsText(tag))),
+                    project: item['X-AURORA-PROJECT'] ? this.normalizeProject(this.unescapeIcsText(item['X-AURORA-PROJECT'])) : null,
+                    estimate: this.normalizeEstimate(item['X-AURORA-ESTIMATE']),
+                    updatedAt: null
+                }
+            };
+        }).filter(Boolean);
+    }
+
+    async readIcsFile(file) {
+        try {
+            const items = this.parseIcs(await file.text());
+            if (items.length === 0) {
+                this.showMessage('No tasks found in calendar file', 'warning');
+                return;
+            }
+            
+            const imported = this.importIcsItems(items);
+            this.showUndoableMessage(`Imported ${imported} tasks from calendar`, 'success');
+        } catch (error) {
+            console.error('Error reading calendar file:', error);
+            this.showError('Failed to read calendar file.');
+        }
+    }
+
+    // Add calendar items as dated tasks, skipping ones already present by id
+    importIcsItems(items) {
+        const current = this.indexTasksById(this.tasks);
+        const incoming = {};
+        
+        items.forEach(({ dateKey, task }) => {
+            if (current.has(task.id) || !task.text) return;
+            if (!incoming[dateKey]) incoming[dateKey] = [];
+            incoming[dateKey].push(task);
+        });
+        
+        const count = Object.values(incoming).reduce((sum, tasks) => sum + tasks.length, 0);
+        if (count === 0) return 0;
+        
+        const command = this.beginCommand('Import calendar', Object.keys(incoming));
+        this.mergeTasks(incoming, 'current');
+        this.saveTasks(...Object.keys(incoming));
+        this.commitCommand(command);
+        this.renderCalendar();
+        
+        return count;
+    }
+
+    // Streak & consistency analytics methods
+    getDaySummary(dateKey) {
+        const tasks = this.tasks[dateKey] || [];
+        return {
+            total: tasks.length,
+            completed: tasks.filter(t => t.status === 'completed').length,
+            missed: tasks.filter(t => t.status === 'missed').length
+        };
+    }
+
+    // A perfect day has tasks and every one of them completed; empty days don't count either way
+    calculateStreaks(today = new Date()) {
+        const todayKey = this.formatDateKey(today);
+        const dateKeys = Object.keys(this.tasks).filter(key => key <= todayKey).sort();
+        let longest = 0;
+        let run = 0;
+        
+        dateKeys.forEach(dateKey => {
+            const day = this.getDaySummary(dateKey);
+            if (day.total === 0) return;
+            
+            if (day.completed === day.total) {
+                run++;
+                longest = Math.max(longest, run);
+            } else if (dateKey !== todayKey) {
+                run = 0;
+            }
+        });
+        
+        // Today still in progress doesn't break the current streak
+        let current = 0;
+        for (let i = dateKeys.length - 1; i >= 0; i--) {
+            const day = this.getDaySummary(dateKeys[i]);
+            if (day.total === 0) continue;
+            if (day.completed === day.total) {
+                current++;
+            } else if (dateKeys[i] !== todayKey) {
+                break;
+            }
+        }
+        
+        return { current, longest };
+    }
+
+    // Completion rate per weekday, starting from the configured week start
+    calculateWeekdayRates() {
+        const totals = Array.from({ length: 7 }, () => ({ total: 0, completed: 0 }));
+        
+        Object.keys(this.tasks).forEach(dateKey => {
+            const day = this.getDaySummary(dateKey);
+            const weekday = (this.parseDateKey(dateKey).getDay() - this.settings.weekStart + 7) % 7;
+            totals[weekday].total += day.total;
+            totals[weekday].completed += day.completed;
+        });
+        
+        return totals.map(({ total, completed }) => (total > 0 ? Math.round((completed / total) * 100) : null));
+    }
+
+    // Missed share of tasks for the most recent weeks, oldest first
+    calculateWeeklyMissedTrend(weeks = 12, today = new Date()) {
+        const trend = [];
+        const weekStart = this.getWeekStartDate(today);
+        
+        for (let i = weeks - 1; i >= 0; i--) {
+            const start = new Date(weekStart);
+            start.setDate(start.getDate() - i * 7);
+            
+            let total = 0;
+            let missed = 0;
+            for (let d = 0; d < 7; d++) {
+                const day = new Date(start);
+                day.setDate(day.getDate() + d);
+                const summary = this.getDaySummary(this.formatDateKey(day));
+                total += summary.total;
+                missed += summary.missed;
+            }
+            
+            trend.push({
+                week: this.getDisplayWeek(start).week,
+                rate: total > 0 ? Math.round((missed / total) * 100) : null
+            });
+        }
+        
+        return trend;
+    }
+
+    // Journaled days up to today that have tasks, as { mood, energy, rate } with rate 0..1
+    getJournalDays(today = new Date()) {
+        const todayKey = this.formatDateKey(today);
+        return Object.entries(this.journal)
+            .filter(([dateKey]) => dateKey <= todayKey)
+            .map(([dateKey, entry]) => ({ entry, day: this.getDaySummary(dateKey) }))
+            .filter(({ day }) => day.total > 0)
+            .map(({ entry, day }) => ({ mood: entry.mood, energy: entry.energy, rate: day.completed / day.total }));
+    }
+
+    // Average completion for each level (1-5) of 'mood' or 'energy'; null where no day has that level
+    calculateJournalRates(days, field) {
+        return [1, 2, 3, 4, 5].map(level => {
+            const rates = days.filter(day => day[field] === level).map(day => day.rate);
+            return rates.length > 0 ? Math.round((rates.reduce((sum, rate) => sum + rate, 0) / rates.length) * 100) : null;
+        });
+    }
+
+    // Pearson correlation between a journal field and daily completion, or null with too little data
+    calculateJournalCorrelation(days, field) {
+        const points = days.filter(day => day[field]);
+        if (points.length < 3) return null;
+        
+        const meanX = points.reduce((sum, day) => sum + day[field], 0) / points.length;
+        const meanY = points.reduce((sum, day) => sum + day.rate, 0) / points.length;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        points.forEach(day => {
+            covariance += (day[field] - meanX) * (day.rate - meanY);
+            varianceX += (day[field] - meanX) ** 2;
+            varianceY += (day.rate - meanY) ** 2;
+        });
+        
+        if (varianceX === 0 || varianceY === 0) return null;
+        return { r: covariance / Math.sqrt(varianceX * varianceY), days: points.length };
+    }
+
+    renderJournalAnalytics() {
+        const days = this.getJournalDays();
+        this.renderBarChart(this.elements.moodRates, this.calculateJournalRates(days, 'mood')
+            .map((rate, index) => ({ label: MOOD_LEVELS[index].icon, rate })));
+        this.renderBarChart(this.elements.energyRates, this.calculateJournalRates(days, 'energy')
+            .map((rate, index) => ({ label: `⚡${ENERGY_LEVELS[index]}`, rate })));
+        
+        const describe = (name, correlation) => {
+            if (!correlation) return null;
+            const strength = Math.abs(correlation.r);
+            const word = strength >= 0.5 ? 'strongly' : strength >= 0.3 ? 'moderately' : strength >= 0.1 ? 'weakly' : 'barely';
+            const direction = correlation.r < 0 && strength >= 0.1 ? ' (inversely)' : '';
+            return `${name} ${word} tracks completion${direction}, r = ${correlation.r.toFixed(2)} over ${correlation.days} days`;
+        };
+        const lines = [
+            describe('Mood', this.calculateJournalCorrelation(days, 'mood')),
+            describe('Energy', this.calculateJournalCorrelation(days, 'energy'))
+        ].filter(Boolean);
+        
+        this.elements.journalCorrelation.textContent = lines.length > 0 ? `${lines.join('. ')}.` :
+            'Rate your mood and energy in the day journal (📓 on each day) to see how they relate to completion.';
+    }
+
+    getHeatmapLevel(day) {
+        if (day.total === 0) return 'empty';
+        const ratio = day.completed / day.total;
+        if (ratio === 1) return 4;
+        if (ratio >= 0.66) return 3;
+        if (ratio >= 0.33) return 2;
+        return ratio > 0 ? 1 : 0;
+    }
+
+    renderAnalytics() {
+        const { current, longest } = this.calculateStreaks();
+        this.animateCounter(this.elements.currentStreak, current);
+        this.animateCounter(this.elements.longestStreak, longest);
+        
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.renderBarChart(this.elements.weekdayRates, this.calculateWeekdayRates()
+            .map((rate, index) => ({ label: dayNames[(index + this.settings.weekStart) % 7], rate })));
+        this.renderBarChart(this.elements.weeklyMissedTrend, this.calculateWeeklyMissedTrend()
+            .map(({ week, rate }) => ({ label: `W${week}`, rate })));
+        this.renderJournalAnalytics();
+        
+        this.renderHeatmap();
+    }
+
+    renderBarChart(container, bars) {
+        container.innerHTML = bars.map(({ label, rate }) => `
+            <div class="bar-row" role="listitem" aria-label="${label}: ${rate === null ? 'no tasks' : `${rate}%`}">
+                <span class="bar-label">${label}</span>
+                <span class="bar-track"><span class="bar-fill" style="width: ${rate || 0}%"></span></span>
+                <span class="bar-value">${rate === null ? '–' : `${rate}%`}</span>
+            </div>
+        `).join('');
+    }
+
+    // 53 week columns ending with the current week, first weekday at the top
+    renderHeatmap(today = new Date()) {
+        const end = this.getWeekStartDate(today);
+        end.setDate(end.getDate() + 6);
+        const start = new Date(end);
+        start.setDate(start.getDate() - 53 * 7 + 1);
+        const todayKey = this.formatDateKey(today);
+        const cells = [];
+        
+        for (let i = 0; i < 53 * 7; i++) {
+            const date = new Date(start);
+            date.setDate(date.getDate() + i);
+            const dateKey = this.formatDateKey(date);
+            
+            if (dateKey > todayKey) {
+                cells.push('<span class="heatmap-cell future" aria-hidden="true"></span>');
+                continue;
+            }
+            
+            const day = this.getDaySummary(dateKey);
+            const label = `${this.formatDateDisplay(date)}: ${day.total === 0 ? 'no tasks' : `${day.completed} of ${day.total} completed`}`;
+            cells.push(`<button type="button" class="heatmap-cell level-${this.getHeatmapLevel(day)}" data-date="${dateKey}" title="${label}" aria-label="${label}"></button>`);
+        }
+        
+        this.elements.heatmap.innerHTML = cells.join('');
+    }
+
+    // Calendar view methods
+    setView(view) {
+        if (!CALENDAR_VIEWS[view]) return;
+        
+        this.settings.calendarView = view;
+        this.saveSettings();
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+    }
+
+    // Every view is anchored on one day; the week view and month exports follow it
+    setFocusDate(date) {
+        this.focusDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        this.currentWeekStart = this.getWeekStartDate(this.focusDate);
+        this.selectedMonth = { year: this.focusDate.getFullYear(), month: this.focusDate.getMonth() };
+    }
+
+    openDay(date) {
+        this.setFocusDate(date);
+        this.setView('day');
+    }
+
+    // First and last day of the visible period, as local midnights
+    getPeriodRange(view = this.settings.calendarView) {
+        const focus = this.focusDate;
+        if (view === 'day') {
+            return { start: new Date(focus), end: new Date(focus) };
+        }
+        if (view === 'month') {
+            return {
+                start: new Date(focus.getFullYear(), focus.getMonth(), 1),
+                end: new Date(focus.getFullYear(), focus.getMonth() + 1, 0)
+            };
+        }
+        if (view === 'year') {
+            return { start: new Date(focus.getFullYear(), 0, 1), end: new Date(focus.getFullYear(), 11, 31) };
+        }
+        
+        const end = new Date(this.currentWeekStart);
+        end.setDate(end.getDate() + 6);
+        return { start: new Date(this.currentWeekStart), end };
+    }
+
+    // Clamped to the target month's length, so Jan 31 + 1 month is Feb 28 rather than Mar 3
+    addMonths(date, months) {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(date.getDate(), lastDay));
+        return target;
+    }
+
+    getDatesInRange(start, end) {
+        const dates = [];
+        for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+            dates.push(new Date(date));
+        }
+        return dates;
+    }
+
+    renderCalendar() {
+        const view = this.settings.calendarView;
+        this.elements.weekGridLayout.hidden = view !== 'week';
+        this.elements.dayView.hidden = view !== 'day';
+        this.elements.monthView.hidden = view !== 'month';
+        this.elements.yearView.hidden = view !== 'year';
+        
+        if (view === 'day') {
+            this.renderDayView();
+        } else if (view === 'month') {
+            this.renderMonthView();
+        } else if (view === 'year') {
+            this.renderYearView();
+        } else {
+            this.renderWeekView();
+        }
+    }
+
+    renderDayView() {
+        raf(() => {
+            this.elements.dayView.innerHTML = '';
+            this.elements.dayView.appendChild(this.createDayCard(this.focusDate, 0));
+        });
+    }
+
+    // Weekday labels in display order, starting from the configured first day
+    getWeekdayLabels() {
+        return this.getWeekDates(this.getWeekStartDate(new Date()))
+            .map(date => date.toLocaleDateString('en-US', { weekday: 'short' }));
+    }
+
+    // Full weeks covering the month, each day with a completion badge
+    renderMonthView() {
+        raf(() => {
+            const { start, end } = this.getPeriodRange('month');
+            const gridStart = this.getWeekStartDate(start);
+            const gridEnd = this.getWeekStartDate(end);
+            gridEnd.setDate(gridEnd.getDate() + 6);
+            const month = start.getMonth();
+            
+            const cells = this.getDatesInRange(gridStart, gridEnd).map(date => {
+                const dateKey = this.formatDateKey(date);
+                this.getTasksForDate(date); // Brings in recurring occurrences, as the week view does
+                const day = this.getDaySummary(dateKey);
+                const outside = date.getMonth() !== month;
+                const label = `${this.formatDateDisplay(date)}: ${day.total === 0 ? 'no tasks' : `${day.completed} of ${day.total} completed`}`;
+                
+                return `
+                    <button type="button" class="month-cell ${outside ? 'outside' : ''} ${this.isSameDay(date, new Date()) ? 'today' : ''}"
+                            data-date="${dateKey}" aria-label="${label}" title="${label}">
+                        <span class="month-cell-day">${date.getDate()}</span>
+                        ${day.total > 0 ? `<span class="month-cell-badge level-${this.getHeatmapLevel(day)}">${day.completed}/${day.total}</span>` : ''}
+                        ${day.missed > 0 ? `<span class="month-cell-missed">${day.missed} missed</span>` : ''}
+                    </button>
+                `;
+            });
+            
+            this.elements.monthView.innerHTML = `
+                <div class="month-weekdays" aria-hidden="true">
+                    ${this.getWeekdayLabels().map(label => `<span>${label}</span>`).join('')}
+                </div>
+                <div class="month-grid" role="list">${cells.join('')}</div>
+            `;
+        });
+    }
+
+    // Twelve mini months coloured like the heatmap; counts stored tasks only
+    renderYearView() {
+        raf(() => {
+            const year = this.focusDate.getFullYear();
+            const todayKey = this.formatDateKey(new Date());
+            const weekdays = this.getWeekdayLabels().map(label => `<span>${label.charAt(0)}</span>`).join('');
+            
+            const months = Array.from({ length: 12 }, (_, month) => {
+                const first = new Date(year, month, 1);
+                const last = new Date(year, month + 1, 0);
+                const offset = (first.getDay() - this.settings.weekStart + 7) % 7;
+                let completed = 0;
+                let total = 0;
+                
+                const days = this.getDatesInRange(first, last).map(date => {
+                    const dateKey = this.formatDateKey(date);
+                    const day = this.getDaySummary(dateKey);
+                    completed += day.completed;
+                    total += day.total;
+                    
+                    const level = dateKey > todayKey && day.total === 0 ? 'future' : `level-${this.getHeatmapLevel(day)}`;
+                    const label = `${this.formatDateDisplay(date)}: ${day.total === 0 ? 'no tasks' : `${day.completed} of ${day.total} completed`}`;
+                    return `<button type="button" tabindex="-1" class="year-day ${level} ${dateKey === todayKey ? 'today' : ''}" data-date="${dateKey}" title="${label}" aria-label="${label}">${date.getDate()}</button>`;
+                });
+                
+                const name = first.toLocaleDateString('en-US', { month: 'long' });
+                return `
+                    <section class="year-month" aria-label="${name} ${year}">
+                        <button type="button" class="year-month-title" data-month="${month}">
+                            <span>${name}</span>
+                            <span class="year-month-summary">${total > 0 ? `${Math.round((completed / total) * 100)}% · ${completed}/${total}` : 'No tasks'}</span>
+                        </button>
+                        <div class="year-month-grid">
+                            ${weekdays}
+                            ${'<span aria-hidden="true"></span>'.repeat(offset)}
+                            ${days.join('')}
+                        </div>
+                    </section>
+                `;
+            });
+            
+            this.elements.yearView.innerHTML = months.join('');
+        });
+    }
+
+    // UI rendering methods
+    renderWeekView() {
+        raf(() => {
+            const weekDates = this.getWeekDates(this.currentWeekStart);
+            this.elements.weekGrid1.innerHTML = '';
+            this.elements.weekGrid2.innerHTML = '';
+            
+            // Name the 4 + 3 split after its days, since the week may start on Sunday
+            const dayName = (date) => date.toLocaleDateString('en-US', { weekday: 'short' });
+            this.elements.col1Title.textContent = `${dayName(weekDates[0])} – ${dayName(weekDates[3])}`;
+            this.elements.col2Title.textContent = `${dayName(weekDates[4])} – ${dayName(weekDates[6])}`;
+            
+            weekDates.forEach((date, index) => {
+                const dayCard = this.createDayCard(date, index);
+                
+                // First 4 days go to column 1, the last 3 to column 2
+                (index < 4 ? this.elements.weekGrid1 : this.elements.weekGrid2).appendChild(dayCard);
+            });
+            this.updateColumnStats(weekDates);
+            
+            // Clear cache if it gets too large
+            if (this.weekCache.size > 20) {
+                this.weekCache.clear();
+            }
+        });
+    }
+
+    updateColumnStats(weekDates) {
+        // Calculate column statistics
+        let col1Completed = 0;
+        let col1Pending = 0;
+        let col2Completed = 0;
+        let col2Pending = 0;
+        
+        weekDates.forEach((date, index) => {
+            const counts = this.countTaskProgress(this.getTasksForDate(date));
+            if (index < 4) {
+                col1Completed += counts.completed;
+                col1Pending += counts.pending;
+            } else {
+                col2Completed += counts.completed;
+                col2Pending += counts.pending;
+            }
+        });
+        
+        // Partly done checklists make these fractional
+        const format = (count) => (Number.isInteger(count) ? count : count.toFixed(1));
+        this.elements.col1Completed.textContent = format(col1Completed);
+        this.elements.col1Pending.textContent = format(col1Pending);
+        this.elements.col2Completed.textContent = format(col2Completed);
+        this.elements.col2Pending.textContent = format(col2Pending);
+    }
+
+    createDayCard(date, index) {
+        const isToday = this.isSameDay(date, new Date());
+        const tasks = this.getTasksForDate(date);
+        const dateKey = this.formatDateKey(date);
+        
+        const dayCard = document.createElement('article');
+        dayCard.className = `day-card ${isToday ? 'today' : ''} fade-in`;
+        dayCard.dataset.date = dateKey;
+        dayCard.setAttribute('aria-label', `Tasks for ${this.formatDateDisplay(date)}`);
+        dayCard.style.animationDelay = `${index * 0.1}s`;
+        dayCard.style.willChange = 'transform, opacity';
+        
+        const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
+        
+        dayCard.innerHTML = html`
+            <header class="day-header"></header>
+            
+            <div class="task-list" id="taskList-${dateKey}" role="list" aria-label="Tasks for ${dayName}"></div>
+            
+            <div class="add-task-form">
+                <input type="text" 
+                       class="add-task-input" 
+                       placeholder="Add a task for ${dayName}..."
+                       data-date="${dateKey}"
+                       aria-label="New task for ${dayName}">
+                <button class="add-task-btn" data-date="${dateKey}" aria-label="Add task">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 5v14M5 12h14"/>
+                    </svg>
+                    Add
+                </button>
+                <button class="add-task-btn repeat-task-btn" data-date="${dateKey}" aria-label="Add recurring task" title="Add recurring task">
+                    <span aria-hidden="true">🔁</span>
+                </button>
+            </div>
+            <div class="quick-add-preview" aria-live="polite"></div>
+        `;
+        this.patchDayCard(dayCard, date, tasks);
+        
+        // Add event listeners
+        this.setupDayCardEvents(dayCard, date);
+        
+        return dayCard;
+    }
+
+    createDayHeaderHTML(date, tasks) {
+        // Calculate statistics
+        const completedCount = tasks.filter(t => t.status === 'completed').length;
+        const missedCount = tasks.filter(t => t.status === 'missed').length;
+        const pendingCount = tasks.filter(t => t.status === 'pending').length;
+        const trackedMinutes = this.getTrackedMinutes(tasks);
+        const journal = this.journal[this.formatDateKey(date)];
+        const mood = journal && MOOD_LEVELS.find(level => level.value === journal.mood);
+        
+        // Day header
+        const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
+        const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        
+        return html`
+            <header class="day-header">
+                <div class="day-info">
+                    <div class="day-name">${dayName}</div>
+                    <div class="day-date">${dateStr}</div>
+                </div>
+                <div class="day-stats" aria-label="Task statistics">
+                    ${completedCount > 0 ? html`<div class="day-stat-badge completed" aria-label="${completedCount} completed tasks">${completedCount}</div>` : ''}
+                    ${missedCount > 0 ? html`<div class="day-stat-badge missed" aria-label="${missedCount} missed tasks">${missedCount}</div>` : ''}
+                    ${pendingCount > 0 ? html`<div class="day-stat-badge pending" aria-label="${pendingCount} pending tasks">${pendingCount}</div>` : ''}
+                    ${trackedMinutes > 0 ? html`<div class="day-tracked" title="Focus time tracked" aria-label="${this.formatDuration(trackedMinutes)} tracked"><span aria-hidden="true">⏱️</span> ${this.formatDuration(trackedMinutes)}</div>` : ''}
+                    <button type="button" class="day-journal${journal ? ' has-entry' : ''}" data-action="journal"
+                            title="${journal ? this.describeJournalEntry(journal) : 'Write in the day journal'}"
+                            aria-label="${journal ? 'Edit' : 'Write'} journal for ${dayName}">${mood ? mood.icon : '📓'}</button>
+                    ${tasks.length > 1 ? html`
+                        <select class="day-sort" aria-label="Sort tasks for ${dayName}">
+                            <option value="" selected disabled>Sort</option>
+                            <option value="priority">By priority</option>
+                            <option value="estimate">By estimate</option>
+                            <option value="status">By status</option>
+                            <option value="text">By name</option>
+                        </select>` : ''}
+                </div>
+            </header>
+        `;
+    }
+
+    createEmptyDayHTML(dateKey) {
+        return html`<div class="empty-day" aria-label="No tasks"><div class="empty-icon">📝</div><div class="empty-text">No tasks scheduled</div><button class="add-first-task" data-date="${dateKey}">Add first task</button></div>`;
+    }
+
+    // First element of some markup, remembering the markup so an unchanged re-render can skip it
+    createElementFromHTML(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = markup;
+        const element = template.content.firstElementChild;
+        this.renderedMarkup.set(element, markup);
+        return element;
+    }
+
+    // Bring a day card up to date in place. Task rows are keyed by id and only rebuilt when their
+    // markup changes, so the add-task input, focus and running animations elsewhere are untouched.
+    patchDayCard(dayCard, date, tasks = this.getTasksForDate(date)) {
+        const header = dayCard.querySelector('.day-header');
+        const headerMarkup = String(this.createDayHeaderHTML(date, tasks)).trim();
+        if (this.renderedMarkup.get(header) !== headerMarkup) {
+            header.replaceWith(this.createElementFromHTML(headerMarkup));
+        }
+        
+        const taskList = dayCard.querySelector('.task-list');
+        if (tasks.length === 0) {
+            if (!taskList.querySelector('.empty-day')) {
+                taskList.innerHTML = this.createEmptyDayHTML(this.formatDateKey(date));
+            }
+            return;
+        }
+        
+        const ids = new Set(tasks.map(task => String(task.id)));
+        const rows = new Map();
+        [...taskList.children].forEach(child => {
+            if (child.classList.contains('task-item') && ids.has(child.dataset.taskId)) {
+                rows.set(child.dataset.taskId, child);
+            } else {
+                child.remove();
+            }
+        });
+        
+        tasks.forEach((task, index) => {
+            const markup = String(this.createTaskItemHTML(task, date)).trim();
+            let row = rows.get(String(task.id));
+            if (!row || this.renderedMarkup.get(row) !== markup) {
+                const fresh = this.createElementFromHTML(markup);
+                if (row) row.replaceWith(fresh);
+                row = fresh;
+            }
+            if (taskList.children[index] !== row) {
+                taskList.insertBefore(row, taskList.children[index] || null);
+            }
+        });
+    }
+
+    // After a change to some days: patch their cards, or re-render views that have no task cards
+    refreshDays(...dates) {
+        const view = this.settings.calendarView;
+        if (view !== 'week' && view !== 'day') {
+            this.renderCalendar();
+            return;
+        }
+        
+        raf(() => {
+            const container = view === 'day' ? this.elements.dayView : this.elements.weekGridLayout;
+            new Set(dates.map(date => this.formatDateKey(date))).forEach(dateKey => {
+                const dayCard = container.querySelector(`.day-card[data-date="${dateKey}"]`);
+                if (dayCard) this.patchDayCard(dayCard, this.parseDateKey(dateKey));
+            });
+            if (view === 'week') this.updateColumnStats(this.getWeekDates(this.currentWeekStart));
+        });
+    }
+
+// In the createTaskItemHTML method, update the delete button HTML:
+createTaskItemHTML(task, date) {
+    const statusClass = task.status;
+    const hasNote = task.missedNote ? 'has-note' : '';
+    const category = this.getMissedCategory(task.missedCategory);
+    const noteIcon = task.missedNote ? 
+        html`<button type="button" class="note-icon" data-action="view-note" style="margin-left: 8px; font-size: 12px; color: #8b5cf6;" title="View note" aria-label="View note">📝</button>` : '';
+    const categoryChip = task.status === 'missed' && category ? 
+        html`<span class="task-category" title="${category.label}"><span aria-hidden="true">${category.icon}</span> ${category.label}</span>` : '';
+    const series = task.seriesId ? this.getSeries(task.seriesId) : null;
+    const carriedDays = task.carriedFrom ? this.daysBetween(this.parseDateKey(task.carriedFrom), date) : 0;
+    const carriedChip = carriedDays > 0 ? 
+        html`<span class="task-carried" title="Carried over from ${task.carriedFrom}"><span aria-hidden="true">↪️</span> Carried ${carriedDays} ${carriedDays === 1 ? 'day' : 'days'}</span>` : '';
+    const subtasks = task.subtasks || [];
+    const doneSubtasks = subtasks.filter(subtask => subtask.done).length;
+    const expanded = this.expandedTasks.has(task.id);
+    const subtaskToggle = subtasks.length > 0 ? 
+        html`<button type="button" class="subtask-toggle" data-action="toggle-subtasks" aria-expanded="${expanded}" aria-label="${expanded ? 'Hide' : 'Show'} checklist, ${doneSubtasks} of ${subtasks.length} done"><span aria-hidden="true">${expanded ? '▾' : '▸'}</span> ${doneSubtasks}/${subtasks.length}</button>` : '';
+    const subtaskPanel = expanded ? html`
+        <div class="subtask-panel">
+            <ul class="subtask-list" aria-label="Checklist for ${task.text}">
+                ${subtasks.map(subtask => html`
+                    <li class="subtask-item ${subtask.done ? 'done' : ''}" data-subtask-id="${subtask.id}">
+                        <button type="button" class="subtask-checkbox" data-action="toggle-subtask" role="checkbox" aria-checked="${subtask.done}" aria-label="${subtask.text}"></button>
+                        <span class="subtask-text">${subtask.text}</span>
+                        <button type="button" class="subtask-delete" data-action="delete-subtask" aria-label="Remove ${subtask.text}">×</button>
+                    </li>
+                `)}
+            </ul>
+            <input type="text" class="subtask-input" placeholder="Add a step and press Enter..." aria-label="Add a step to ${task.text}">
+        </div>
+    ` : '';
+    const detailChips = [
+        task.priority ? html`<span class="task-chip priority-${task.priority}" title="Priority ${task.priority}">P${task.priority}</span>` : '',
+        task.estimate ? html`<span class="task-chip estimate" title="Estimated time"><span aria-hidden="true">⏳</span> ${this.formatDuration(task.estimate)}</span>` : '',
+        task.dueTime ? html`<span class="task-chip due ${this.isTaskOverdue(date, task) ? 'overdue' : ''}" title="Due at ${task.dueTime}${task.reminder != null ? `, reminder ${this.formatReminderOffset(task.reminder)}` : ''}"><span aria-hidden="true">${task.reminder != null ? '⏰' : '🕒'}</span> ${task.dueTime}</span>` : '',
+        task.project ? html`<span class="task-chip project" title="Project"><span aria-hidden="true">📁</span> ${task.project}</span>` : '',
+        ...(task.tags || []).map(tag => html`<span class="task-chip tag">#${tag}</span>`)
+    ].filter(Boolean);
+    const trackedChip = task.trackedMinutes > 0 ? 
+        html`<span class="task-tracked" title="Time tracked in focus sessions"><span aria-hidden="true">⏱️</span> ${this.formatDuration(task.trackedMinutes)}</span>` : '';
+    const focusing = this.focusSession && this.focusSession.taskId === task.id ? 'focusing' : '';
+    const recurrenceChip = series ? 
+        html`<span class="task-recurrence" title="${this.describeRecurrence(series.rule)}"><span aria-hidden="true">🔁</span> ${this.describeRecurrence(series.rule)}</span>` : '';
+    const ariaLabel = `${task.text} - ${task.status}. ${task.missedNote ? 'Has note' : ''}`;
+    
+    return html`
+        <div class="task-item ${statusClass} ${hasNote} ${focusing}" 
+             data-task-id="${task.id}"
+             draggable="true"
+             role="listitem"
+             aria-label="${ariaLabel}">
+            <div class="task-checkbox" data-action="toggle" aria-label="Toggle task completion"></div>
+            <div class="task-content">
+                <div class="task-text">${task.text}${noteIcon}</div>
+                ${detailChips.length > 0 ? html`<div class="task-chips">${detailChips}</div>` : ''}
+                <div class="task-meta">
+                    ${task.status === 'missed' && task.missedNote ? 
+                        html`<span class="meta-icon" aria-hidden="true">💬</span> Has note` : 
+                        task.status === 'completed' && task.completedAt ? 
+                        html`<span class="meta-icon" aria-hidden="true">✅</span> Completed` : 
+                        html`<span class="meta-icon" aria-hidden="true">⏱️</span> Pending`
+                    }
+                    ${subtaskToggle}
+                    ${trackedChip}
+                    ${categoryChip}
+                    ${carriedChip}
+                    ${recurrenceChip}
+                </div>
+                ${subtaskPanel}
+            </div>
+            <div class="task-actions">
+                <button class="task-action-btn" data-action="focus" aria-label="Start focus session" title="Start focus session">
+                    <span aria-hidden="true" style="font-size: 13px;">⏱</span>
+                </button>
+                <button class="task-action-btn" data-action="toggle-subtasks" aria-label="Checklist" title="Checklist">
+                    <span aria-hidden="true" style="font-size: 13px;">☑</span>
+                </button>
+                <button class="task-action-btn" data-action="edit" aria-label="Edit task">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                    </svg>
+                </button>
+                <button class="task-action-btn delete-btn" data-action="delete" aria-label="Delete task" style="color: #ef4444;">
+                    <span style="font-weight: bold; font-size: 16px;">×</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+    setupDayCardEvents(dayCard, date) {
+        const dateKey = this.formatDateKey(date);
+        const taskInput = dayCard.querySelector(`.add-task-input[data-date="${dateKey}"]`);
+        const addButton = dayCard.querySelector(`.add-task-btn[data-date="${dateKey}"]`);
+        const addFirstTaskBtn = dayCard.querySelector('.add-first-task');
+        const repeatButton = dayCard.querySelector('.repeat-task-btn');
+        const preview = dayCard.querySelector('.quick-add-preview');
+        
+        // Add task handler (the card's day is the default; typed dates override it)
+        const addTaskHandler = () => {
+            const taskText = taskInput.value.trim();
+            if (taskText) {
+                const added = this.addParsedTask(taskText, date);
+                taskInput.value = '';
+                if (added.recurrence) {
+                    this.renderCalendar();
+                } else {
+                    this.refreshDays(added.date);
+                }
+                this.showUndoableMessage(this.describeAddedTask(added, date), 'success');
+            }
+        };
+        
+        taskInput.addEventListener('input', () => this.renderQuickAddPreview(preview, taskInput.value, date));
+        
+        addButton.addEventListener('click', addTaskHandler);
+        repeatButton.addEventListener('click', () => {
+            this.openRecurrenceModal(date, null, taskInput.value.trim());
+            taskInput.value = '';
+        });
+        taskInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') addTaskHandler();
+        });
+        
+        // Checklist steps are added from the input inside an open task
+        dayCard.addEventListener('keypress', (e) => {
+            if (e.key !== 'Enter' || !e.target.classList.contains('subtask-input')) return;
+            
+            const taskId = parseFloat(e.target.closest('.task-item').dataset.taskId);
+            if (this.addSubtask(date, taskId, e.target.value)) {
+                this.refreshDays(date);
+                this.focusSubtaskInput(taskId);
+            }
+        });
+        
+        // Add first task button
+        if (addFirstTaskBtn) {
+            addFirstTaskBtn.addEventListener('click', () => {
+                taskInput.focus();
+            });
+        }
+        
+        // Task checkboxes and actions
+        dayCard.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+            
+            const action = target.dataset.action;
+            if (action === 'journal') {
+                this.openJournalModal(date);
+                return;
+            }
+            
+            const taskItem = target.closest('.task-item');
+            if (!taskItem) return;
+            
+            const taskId = parseFloat(taskItem.dataset.taskId);
+            
+            switch(action) {
+                case 'toggle':
+                    const currentStatus = taskItem.classList.contains('completed') ? 'pending' : 'completed';
+                    this.updateTaskStatus(date, taskId, currentStatus);
+                    this.refreshDays(date);
+                    this.showUndoableMessage(`Task marked as ${currentStatus}`, 'success');
+                    break;
+                    
+                case 'edit':
+                    this.openEditModal(date, taskId);
+                    break;
+                    
+                case 'view-note':
+                    this.viewNote(taskId, date);
+                    break;
+                    
+                case 'focus':
+                    this.startFocusSession(date, taskId);
+                    break;
+                    
+                case 'toggle-subtasks':
+                    if (this.expandedTasks.has(taskId)) {
+                        this.expandedTasks.delete(taskId);
+                        this.refreshDays(date);
+                    } else {
+                        this.expandedTasks.add(taskId);
+                        this.refreshDays(date);
+                        this.focusSubtaskInput(taskId);
+                    }
+                    break;
+                    
+                case 'toggle-subtask':
+                    this.toggleSubtask(date, taskId, parseFloat(target.closest('.subtask-item').dataset.subtaskId));
+                    this.refreshDays(date);
+                    break;
+                    
+                case 'delete-subtask':
+                    this.deleteSubtask(date, taskId, parseFloat(target.closest('.subtask-item').dataset.subtaskId));
+                    this.refreshDays(date);
+                    this.showUndoableMessage('Step removed', 'info');
+                    break;
+                    
+                case 'delete':
+                    if (confirm('Are you sure you want to delete this task?')) {
+                        this.deleteTask(date, taskId);
+                        this.refreshDays(date);
+                        this.showUndoableMessage('Task deleted', 'info');
+                    }
+                    break;
+            }
+        });
+        
+        // Sort the day's tasks (rewrites the stored order, like dragging would)
+        dayCard.addEventListener('change', (e) => {
+            const select = e.target.closest('.day-sort');
+            if (!select) return;
+            
+            if (this.sortDayTasks(date, select.value)) {
+                this.refreshDays(date);
+                this.showUndoableMessage(`Tasks sorted ${select.options[select.selectedIndex].text.toLowerCase()}`, 'success');
+            }
+        });
+        
+        // Drag tasks between days (and within a day to reorder)
+        const taskList = dayCard.querySelector('.task-list');
+        
+        dayCard.addEventListener('dragstart', (e) => {
+            const taskItem = e.target.closest('.task-item');
+            if (!taskItem) return;
+            
+            this.dragData = { date, taskId: parseFloat(taskItem.dataset.taskId) };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', taskItem.dataset.taskId);
+            taskItem.classList.add('dragging');
+        });
+        
+        dayCard.addEventListener('dragend', (e) => {
+            const taskItem = e.target.closest('.task-item');
+            if (taskItem) taskItem.classList.remove('dragging');
+            this.dragData = null;
+        });
+        
+        taskList.addEventListener('dragover', (e) => {
+            if (!this.dragData) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            taskList.classList.add('drag-over');
+        });
+        
+        taskList.addEventListener('dragleave', (e) => {
+            if (!taskList.contains(e.relatedTarget)) {
+                taskList.classList.remove('drag-over');
+            }
+        });
+        
+        taskList.addEventListener('drop', (e) => {
+            e.preventDefault();
+            taskList.classList.remove('drag-over');
+            if (!this.dragData) return;
+            
+            // Insert before the first task whose midpoint is below the cursor
+            const items = [...taskList.querySelectorAll('.task-item:not(.dragging)')];
+            let position = items.findIndex(item => {
+                const rect = item.getBoundingClientRect();
+                return e.clientY < rect.top + rect.height / 2;
+            });
+            if (position === -1) position = items.length;
+            
+            const { date: fromDate, taskId } = this.dragData;
+            this.dragData = null;
+            
+            if (this.moveTask(fromDate, taskId, date, position)) {
+                this.refreshDays(fromDate, date);
+                if (!this.isSameDay(fromDate, date)) {
+                    this.showUndoableMessage(`Task moved to ${this.formatDateDisplay(date)}`, 'success');
+                }
+            }
+        });
+        
+        // MARK TASK AS MISSED - THIS IS WHERE THE NOTE MODAL OPENS
+        // We'll add a special handler for marking tasks as missed
+        dayCard.addEventListener('contextmenu', (e) => {
+            const taskItem = e.target.closest('.task-item');
+            if (!taskItem) return;
+            
+            e.preventDefault();
+            
+            const taskId = parseFloat(taskItem.dataset.taskId);
+            
+            // Only allow marking as missed for pending tasks
+            if (!taskItem.classList.contains('pending')) return;
+            
+            // Open note modal for marking as missed
+            this.openNoteModalForMissedTask(date, taskId, taskItem);
+            return false;
+        });
+        
+        // Also allow clicking on missed status badge to add note
+        dayCard.addEventListener('click', (e) => {
+            const target = e.target.closest('.day-stat-badge.missed');
+            if (target) {
+                // Find first pending task to mark as missed
+                const pendingTask = dayCard.querySelector('.task-item.pending');
+                if (pendingTask) {
+                    const taskId = parseFloat(pendingTask.dataset.taskId);
+                    this.openNoteModalForMissedTask(date, taskId, pendingTask);
+                }
+            }
+        });
+    }
+
+    openNoteModalForMissedTask(date, taskId, taskItem) {
+        this.currentNoteData = { date, taskId };
+        this.elements.noteModal.setAttribute('aria-hidden', 'false');
+        this.elements.noteModal.style.display = 'flex';
+        this.elements.noteTextarea.value = '';
+        this.elements.noteTextarea.placeholder = "Why wasn't this task completed? Provide details...";
+        this.elements.noteCategory.value = '';
+        
+        // Set focus to textarea
+        setTimeout(() => {
+            this.elements.noteTextarea.focus();
+        }, 100);
+        
+        // Prevent body scrolling
+        document.body.style.overflow = 'hidden';
+        
+        // Store reference to task item for highlighting
+        this.currentTaskItem = taskItem;
+    }
+
+    deleteTask(date, taskId) {
+        const dateKey = this.formatDateKey(date);
+        const tasks = this.tasks[dateKey];
+        
+        if (!tasks) return false;
+        
+        const taskIndex = tasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) return false;
+        
+        const command = this.beginCommand('Delete task', [dateKey]);
+        const deletedTask = tasks[taskIndex];
+        tasks.splice(taskIndex, 1);
+        
+        // Remember deleted occurrences so the series doesn't bring them back
+        if (deletedTask.seriesId) {
+            const series = this.getSeries(deletedTask.seriesId);
+            if (series && !series.exceptions.includes(dateKey)) {
+                series.exceptions.push(dateKey);
+                series.updatedAt = new Date().toISOString();
+                this.saveRecurringTasks();
+            }
+        }
+        
+        // If no tasks left for this date, remove the date entry
+        if (tasks.length === 0) {
+            delete this.tasks[dateKey];
+        }
+        
+        this.saveTasks(dateKey);
+        
+        // Add activity
+        this.addActivity('deleted', deletedTask.text, date, deletedTask.id);
+        
+        this.commitCommand(command);
+        return true;
+    }
+
+    // Apply editor changes: { text, date, position, missedNote, missedCategory, priority, tags, project, estimate }
+    editTask(date, taskId, changes) {
+        const task = this.findTask(date, taskId);
+        if (!task) return false;
+        
+        const targetDate = changes.date || date;
+        const command = this.beginCommand('Edit task', [this.formatDateKey(date), this.formatDateKey(targetDate)]);
+        let edited = false;
+        
+        if (changes.text !== undefined && changes.text.trim() && changes.text.trim() !== task.text) {
+            task.text = changes.text.trim();
+            edited = true;
+        }
+        
+        if (changes.missedNote !== undefined && task.status === 'missed' &&
+            changes.missedNote.trim() && changes.missedNote.trim() !== task.missedNote) {
+            task.missedNote = changes.missedNote.trim();
+            edited = true;
+        }
+        
+        if (changes.missedCategory !== undefined && task.status === 'missed' &&
+            (changes.missedCategory || null) !== (task.missedCategory || null)) {
+            task.missedCategory = changes.missedCategory || null;
+            edited = true;
+        }
+        
+        const details = {
+            priority: (value) => this.normalizePriority(value),
+            tags: (value) => this.normalizeTags(value),
+            project: (value) => this.normalizeProject(value),
+            estimate: (value) => this.normalizeEstimate(value),
+            dueTime: (value) => this.normalizeDueTime(value),
+            reminder: (value) => this.normalizeReminder(value)
+        };
+        Object.entries(details).forEach(([field, normalize]) => {
+            if (changes[field] === undefined) return;
+            const value = normalize(changes[field]);
+            if (JSON.stringify(value) !== JSON.stringify(task[field] === undefined ? normalize(null) : task[field])) {
+                task[field] = value;
+                edited = true;
+            }
+        });
+        
+        if (edited) {
+            task.updatedAt = new Date().toISOString();
+            this.saveTasks(this.formatDateKey(date));
+            this.addActivity('edited', task.text, date, task.id);
+        }
+        
+        if (changes.position !== undefined || !this.isSameDay(targetDate, date)) {
+            this.moveTask(date, taskId, targetDate, changes.position);
+        }
+        
+        this.commitCommand(command);
+        return true;
+    }
+
+    // Task detail methods
+    normalizePriority(value) {
+        const priority = parseInt(value, 10);
+        return priority >= 1 && priority <= 4 ? priority : null;
+    }
+
+    // Accepts an array or a comma/space separated string; '#' prefixes are optional
+    normalizeTags(value) {
+        const tags = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/);
+        return [...new Set(tags
+            .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+            .filter(Boolean))];
+    }
+
+    normalizeProject(value) {
+        const project = String(value || '').trim();
+        return project || null;
+    }
+
+    // Minutes, or null when missing or not a positive number
+    normalizeEstimate(value) {
+        const minutes = Math.round(Number(value));
+        return minutes > 0 ? minutes : null;
+    }
+
+    // 'H:MM' or 'HH:MM' (as from <input type="time">) to 'HH:MM'
+    normalizeDueTime(value) {
+        const match = String(value || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+        return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+    }
+
+    // Minutes before the due time; 0 reminds at the due time itself
+    normalizeReminder(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const minutes = Number(value);
+        return Number.isInteger(minutes) && minutes >= 0 ? minutes : null;
+    }
+
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours === 0) return `${rest}m`;
+        return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+    }
+
+    getTrackedMinutes(tasks) {
+        return tasks.reduce((sum, task) => sum + (task.trackedMinutes || 0), 0);
+    }
+
+    getTaskWeight(task, mode) {
+        if (mode === 'estimate') return task.estimate || DEFAULT_ESTIMATE_MINUTES;
+        if (mode === 'priority') return PRIORITY_WEIGHTS[task.priority] || 1;
+        return 1;
+    }
+
+    // by: 'priority' | 'estimate' | 'status' | 'text'; ties keep their current order
+    sortDayTasks(date, by) {
+        const dateKey = this.formatDateKey(date);
+        const tasks = this.tasks[dateKey];
+        if (!tasks || tasks.length < 2) return false;
+        
+        const statusOrder = { pending: 0, missed: 1, completed: 2 };
+        const comparators = {
+            priority: (a, b) => (a.priority || 5) - (b.priority || 5),
+            estimate: (a, b) => (b.estimate || 0) - (a.estimate || 0),
+            status: (a, b) => statusOrder[a.status] - statusOrder[b.status],
+            text: (a, b) => a.text.localeCompare(b.text)
+        };
+        if (!comparators[by]) return false;
+        
+        const sorted = tasks.slice().sort(comparators[by]);
+        if (sorted.every((task, index) => task === tasks[index])) return false;
+        
+        const command = this.beginCommand('Sort tasks', [dateKey]);
+        this.tasks[dateKey] = sorted;
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
+        return true;
+    }
+
+    // Subtask methods
+    // Status the checklist implies: completed once every step is done
+    getChecklistStatus(task) {
+        return task.subtasks.every(subtask => subtask.done) ? 'completed' : 'pending';
+    }
+
+    // 0..1 share of a task that is done; pending checklists count their finished steps
+    getTaskCompletion(task) {
+        if (task.status === 'completed') return 1;
+        if (task.status !== 'pending' || !task.subtasks || task.subtasks.length === 0) return 0;
+        return task.subtasks.filter(subtask => subtask.done).length / task.subtasks.length;
+    }
+
+    countTaskProgress(tasks) {
+        return tasks.reduce((counts, task) => {
+            const done = this.getTaskCompletion(task);
+            counts.completed += done;
+            if (task.status === 'pending') counts.pending += 1 - done;
+            return counts;
+        }, { completed: 0, pending: 0 });
+    }
+
+    // Follow the checklist unless the parent was set by hand (or missed)
+    syncParentStatus(date, task) {
+        if (task.statusOverride || task.status === 'missed' || task.subtasks.length === 0) return;
+        
+        const status = this.getChecklistStatus(task);
+        if (status !== task.status) {
+            this.updateTaskStatus(date, task.id, status);
+        }
+    }
+
+    addSubtask(date, taskId, text) {
+        const task = this.findTask(date, taskId);
+        if (!task || !text.trim()) return null;
+        
+        const dateKey = this.formatDateKey(date);
+        const command = this.beginCommand('Add step', [dateKey]);
+        const subtask = { id: Date.now() + Math.random(), text: text.trim(), done: false };
+        
+        task.subtasks = (task.subtasks || []).concat(subtask);
+        task.updatedAt = new Date().toISOString();
+        this.addActivity('subtask-added', `${task.text} › ${subtask.text}`, date, task.id);
+        this.syncParentStatus(date, task);
+        
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
+        return subtask;
+    }
+
+    toggleSubtask(date, taskId, subtaskId) {
+        const task = this.findTask(date, taskId);
+        const subtask = task && (task.subtasks || []).find(item => item.id === subtaskId);
+        if (!subtask) return false;
+        
+        const dateKey = this.formatDateKey(date);
+        const command = this.beginCommand(subtask.done ? 'Reopen step' : 'Complete step', [dateKey]);
+        
+        subtask.done = !subtask.done;
+        task.updatedAt = new Date().toISOString();
+        this.addActivity(subtask.done ? 'subtask-completed' : 'subtask-reopened', `${task.text} › ${subtask.text}`, date, task.id);
+        this.syncParentStatus(date, task);
+        
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
+        return true;
+    }
+
+    deleteSubtask(date, taskId, subtaskId) {
+        const task = this.findTask(date, taskId);
+        const subtask = task && (task.subtasks || []).find(item => item.id === subtaskId);
+        if (!subtask) return false;
+        
+        const dateKey = this.formatDateKey(date);
+        const command = this.beginCommand('Remove step', [dateKey]);
+        
+        task.subtasks = task.subtasks.filter(item => item.id !== subtaskId);
+        task.updatedAt = new Date().toISOString();
+        if (task.subtasks.length === 0) delete task.statusOverride;
+        this.addActivity('subtask-deleted', `${task.text} › ${subtask.text}`, date, task.id);
+        this.syncParentStatus(date, task);
+        
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
+        return true;
+    }
+
+    focusSubtaskInput(taskId) {
+        // Runs after the frame that re-renders the card
+        raf(() => {
+            const input = document.querySelector(`.task-item[data-task-id="${taskId}"] .subtask-input`);
+            if (input) input.focus();
+        });
+    }
+
+    // Move a task to another date and/or position (null appends at the end)
+    moveTask(fromDate, taskId, toDate, position = null) {
+        const fromKey = this.formatDateKey(fromDate);
+        const toKey = this.formatDateKey(toDate);
+        const fromTasks = this.tasks[fromKey];
+        
+        if (!fromTasks) return false;
+        
+        const taskIndex = fromTasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) return false;
+        
+        const sameDay = fromKey === toKey;
+        if (sameDay && (position === null || position === taskIndex)) return false;
+        
+        const command = this.beginCommand('Move task', [fromKey, toKey]);
+        const [task] = fromTasks.splice(taskIndex, 1);
+        
+        if (!sameDay) {
+            if (fromTasks.length === 0) {
+                delete this.tasks[fromKey];
+            }
+            
+            // A moved occurrence leaves its series so the origin date isn't refilled
+            if (task.seriesId) {
+                const series = this.getSeries(task.seriesId);
+                if (series && !series.exceptions.includes(fromKey)) {
+                    series.exceptions.push(fromKey);
+                    series.updatedAt = new Date().toISOString();
+                    this.saveRecurringTasks();
+                }
+                delete task.seriesId;
+            }
+        }
+        
+        if (!this.tasks[toKey]) {
+            this.tasks[toKey] = [];
+        }
+        
+        const targetTasks = this.tasks[toKey];
+        const insertAt = position === null ? targetTasks.length : Math.max(0, Math.min(position, targetTasks.length));
+        targetTasks.splice(insertAt, 0, task);
+        
+        task.updatedAt = new Date().toISOString();
+        this.saveTasks(fromKey, toKey);
+        
+        if (!sameDay) {
+            this.addActivity('moved', task.text, toDate, task.id);
+        }
+        
+        this.commitCommand(command);
+        return true;
+    }
+
+    renderYearNavigation() {
+        const months = [
+            'January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'
+        ];
+        
+        this.elements.yearNavigation.innerHTML = '';
+        
+        // updatePeriodDisplay() marks the focused month active
+        months.forEach((month, index) => {
+            const monthBtn = document.createElement('button');
+            monthBtn.className = 'month-btn';
+            monthBtn.textContent = month.substring(0, 3);
+            monthBtn.dataset.month = index;
+            monthBtn.setAttribute('aria-label', `Go to ${month}`);
+            monthBtn.setAttribute('type', 'button');
+            
+            monthBtn.addEventListener('click', () => this.navigateToMonth(index));
+            
+            this.elements.yearNavigation.appendChild(monthBtn);
+        });
+    }
+
+    updatePeriodDisplay() {
+        const view = this.settings.calendarView;
+        const { start, end } = this.getPeriodRange();
+        const { week, year } = this.getDisplayWeek(this.currentWeekStart);
+        
+        if (view === 'month') {
+            this.elements.weekNumber.textContent = this.focusDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        } else if (view === 'year') {
+            this.elements.weekNumber.textContent = String(this.focusDate.getFullYear());
+        } else {
+            this.elements.weekNumber.textContent = `Week ${week}, ${year}`;
+        }
+        const reviewed = view !== 'month' && view !== 'year' && this.getWeeklyReview(this.currentWeekStart) !== null;
+        this.elements.weekNumber.classList.toggle('reviewed', reviewed);
+        this.elements.weekNumber.title = reviewed ? 'Weekly review (saved)' : 'Weekly review';
+        this.elements.weekRange.textContent = view === 'day' ? this.formatDateDisplay(start) :
+            `${this.formatDateDisplay(start)} - ${this.formatDateDisplay(end)}`;
+        this.elements.weekRangeDisplay.textContent = view === 'day' ?
+            start.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }) :
+            this.formatWeekRange(start, end);
+        this.elements.weekTitleText.textContent = CALENDAR_VIEWS[view].title;
+        
+        // Prev/next and the switcher follow the layout
+        [this.elements.prevWeek, this.elements.prevWeekBtn].forEach(btn => btn.setAttribute('aria-label', `Previous ${view}`));
+        [this.elements.nextWeek, this.elements.nextWeekBtn].forEach(btn => btn.setAttribute('aria-label', `Next ${view}`));
+        this.elements.viewSwitcher.querySelectorAll('[data-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === view));
+        });
+        
+        // The month bar and picker track the focused day, in whichever year it is
+        this.elements.navigationYear.textContent = String(this.focusDate.getFullYear());
+        this.elements.jumpDate.value = this.formatDateKey(this.focusDate);
+        this.elements.yearNavigation.querySelectorAll('.month-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.month) === this.focusDate.getMonth());
+        });
+        
+        this.updateRoute();
+    }
+
+    updateWeekProgress() {
+        raf(() => {
+            const mode = this.settings.progressWeight;
+            const view = this.settings.calendarView;
+            let totalWeight = 0;
+            let completedWeight = 0;
+            
+            // Get all tasks for the visible period; the year view counts stored tasks
+            // only, rather than creating a year of recurring occurrences
+            const { start, end } = this.getPeriodRange();
+            const tasks = view === 'year' ?
+                this.getTasksInRange(this.formatDateKey(start), this.formatDateKey(end)).map(([, task]) => task) :
+                this.getDatesInRange(start, end).flatMap(date => this.getTasksForDate(date));
+            tasks.forEach(task => {
+                const weight = this.getTaskWeight(task, mode);
+                totalWeight += weight;
+                completedWeight += weight * this.getTaskCompletion(task);
+            });
+            
+            const progress = totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0;
+            const trackedMinutes = this.getTrackedMinutes(tasks);
+            
+            // Update progress bar
+            const label = `${CALENDAR_VIEWS[view].unit} Progress`;
+            this.elements.weekProgressLabel.textContent = mode === 'count' ? label : `${label} (by ${mode})`;
+            this.elements.weekProgressPercent.textContent = `${progress}%`;
+            this.elements.weekProgressFill.style.width = `${progress}%`;
+            this.elements.weekTrackedTime.hidden = trackedMinutes === 0;
+            this.elements.weekTrackedTime.textContent = `⏱️ ${this.formatDuration(trackedMinutes)} tracked`;
+            
+            // Animate progress bar
+            this.elements.weekProgressFill.style.transition = 'width 1s cubic-bezier(0.34, 1.56, 0.64, 1)';
+        });
+    }
+
+    updateStatistics() {
+        raf(() => {
+            let completed = 0;
+            let missed = 0;
+            let pending = 0;
+            let total = 0;
+            
+            // Count all tasks
+            Object.values(this.tasks).forEach(dateTasks => {
+                dateTasks.forEach(task => {
+                    total++;
+                    if (task.status === 'completed') completed++;
+                    else if (task.status === 'missed') missed++;
+                    else pending++;
+                });
+            });
+            
+            // Animate counters
+            this.animateCounter(this.elements.completedCount, completed);
+            this.animateCounter(this.elements.missedCount, missed);
+            this.animateCounter(this.elements.pendingCount, pending);
+            this.animateCounter(this.elements.totalCount, total);
+        });
+        
+        // Analytics walk every stored day, so batch rapid changes
+        clearTimeout(this.analyticsTimeout);
+        this.analyticsTimeout = setTimeout(() => this.renderAnalytics(), 200);
+    }
+
+    updateRecentActivity() {
+        raf(() => {
+            this.elements.activityList.innerHTML = '';
+            
+            if (this.activities.length === 0) {
+                this.elements.activityList.innerHTML = `
+                    <div class="empty-state" aria-label="No recent activity">
+                        <div class="empty-icon">📊</div>
+                        <p>No activity yet</p>
+                    </div>
+                `;
+                return;
+            }
+            
+            // Show last 5 activities
+            const locations = this.getTaskLocations();
+            this.activities.slice(0, 5).forEach(activity => {
+                const activityItem = this.createActivityItem(activity, locations);
+                this.elements.activityList.appendChild(activityItem);
+            });
+        });
+    }
+
+    // locations maps task ids to the day they're on now, so entries can link to live tasks
+    createActivityItem(activity, locations, showDate = true) {
+        const item = document.createElement('article');
+        item.className = `activity-item ${activity.type}`;
+        item.setAttribute('aria-label', `${activity.type} task: ${activity.task}`);
+        
+        const icon = activity.type === 'completed' ? '✅' : 
+                    activity.type === 'missed' ? '❌' : 
+                    activity.type === 'deleted' ? '🗑️' : 
+                    activity.type === 'edited' ? '✏️' : 
+                    activity.type === 'moved' ? '📦' : 
+                    activity.type.startsWith('subtask-') ? '☑️' : '➕';
+        
+        const actionText = activity.type === 'completed' ? 'Completed' :
+                         activity.type === 'missed' ? 'Missed' :
+                         activity.type === 'deleted' ? 'Deleted' :
+                         activity.type === 'edited' ? 'Edited' :
+                         activity.type === 'moved' ? 'Moved' :
+                         activity.type === 'subtask-added' ? 'Step added' :
+                         activity.type === 'subtask-completed' ? 'Step done' :
+                         activity.type === 'subtask-reopened' ? 'Step reopened' :
+                         activity.type === 'subtask-deleted' ? 'Step removed' : 'Added';
+        
+        const time = this.formatActivityTime(activity, showDate);
+        const taskDate = activity.taskId != null && locations.get(activity.taskId);
+        const link = taskDate ? html`
+                <button type="button" class="activity-link" data-date="${taskDate}" data-task-id="${activity.taskId}"
+                        aria-label="Show task on ${this.formatDateDisplay(this.parseDateKey(taskDate))}">
+                    Open task →
+                </button>` : '';
+        
+        item.innerHTML = html`
+            <div class="activity-icon" aria-hidden="true">
+                ${icon}
+            </div>
+            <div class="activity-content">
+                <div class="activity-text">
+                    <strong>${actionText}</strong>: ${activity.task}
+                </div>
+                <div class="activity-time">${time}${link}</div>
+            </div>
+        `;
+        
+        return item;
+    }
+
+    // "14:05", "Yesterday, 14:05" or "Mar 3, 14:05"; the history view groups by day so it omits the date
+    formatActivityTime(activity, showDate = true) {
+        const when = new Date(activity.date);
+        const time = when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (!showDate) return time;
+        
+        const days = this.daysBetween(when, new Date());
+        if (days === 0) return time;
+        if (days === 1) return `Yesterday, ${time}`;
+        
+        const sameYear = when.getFullYear() === new Date().getFullYear();
+        const day = when.toLocaleDateString('en-US', sameYear ? { month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${day}, ${time}`;
+    }
+
+    // Activity history methods
+    getTaskLocations() {
+        const locations = new Map();
+        Object.entries(this.tasks).forEach(([dateKey, tasks]) => {
+            tasks.forEach(task => locations.set(task.id, dateKey));
+        });
+        return locations;
+    }
+
+    // Drops entries older than the retention setting, replacing the old fixed-size cap
+    pruneActivities() {
+        const days = this.settings.activityRetention;
+        if (!days) return;
+        
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const kept = this.activities.filter(activity => activity.timestamp >= cutoff);
+        if (kept.length === this.activities.length) return;
+        
+        this.activities = kept;
+        this.saveActivities();
+        this.updateRecentActivity();
+    }
+
+    // filters: { type, from, to } where type 'subtask' covers every checklist step entry
+    filterActivities(filters) {
+        return this.activities.filter(activity => {
+            if (filters.type === 'subtask' ? !activity.type.startsWith('subtask-') :
+                filters.type && activity.type !== filters.type) return false;
+            if (filters.from && activity.taskDate < filters.from) return false;
+            if (filters.to && activity.taskDate > filters.to) return false;
+            return true;
+        });
+    }
+
+    openHistoryModal() {
+        this.elements.historyModal.setAttribute('aria-hidden', 'false');
+        this.elements.historyModal.style.display = 'flex';
+        this.renderActivityHistory();
+        
+        setTimeout(() => {
+            this.elements.historyType.focus();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeHistoryModal() {
+        this.elements.historyModal.setAttribute('aria-hidden', 'true');
+        this.elements.historyModal.style.display = 'none';
+        this.historyEntries = [];
+        
+        document.body.style.overflow = '';
+    }
+
+    renderActivityHistory() {
+        this.historyEntries = this.filterActivities({
+            type: this.elements.historyType.value,
+            from: this.elements.historyFrom.value,
+            to: this.elements.historyTo.value
+        });
+        this.historyRendered = 0;
+        this.historyLocations = this.getTaskLocations();
+        
+        const count = this.historyEntries.length;
+        this.elements.historySummary.textContent = count === 0 ? 'No matching activity' :
+            `${count} ${count === 1 ? 'entry' : 'entries'}`;
+        this.elements.historyList.innerHTML = '';
+        this.elements.historyList.scrollTop = 0;
+        this.appendHistoryPage();
+    }
+
+    // Renders the next page of entries, starting a new day heading whenever the day changes
+    appendHistoryPage() {
+        const list = this.elements.historyList;
+        const page = this.historyEntries.slice(this.historyRendered, this.historyRendered + HISTORY_PAGE_SIZE);
+        if (page.length === 0) return;
+        
+        const previous = this.historyEntries[this.historyRendered - 1];
+        let lastDay = previous ? this.formatDateKey(new Date(previous.date)) : null;
+        
+        list.querySelector('.history-more')?.remove();
+        page.forEach(activity => {
+            const when = new Date(activity.date);
+            const day = this.formatDateKey(when);
+            if (day !== lastDay) {
+                const heading = document.createElement('h3');
+                heading.className = 'search-group-title history-day';
+                heading.textContent = when.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+                list.appendChild(heading);
+                lastDay = day;
+            }
+            list.appendChild(this.createActivityItem(activity, this.historyLocations, false));
+        });
+        this.historyRendered += page.length;
+        
+        if (this.historyRendered < this.historyEntries.length) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'btn btn-secondary history-more';
+            more.textContent = `Show older (${this.historyEntries.length - this.historyRendered} more)`;
+            list.appendChild(more);
+        }
+    }
+
+    // Modal methods
+    openNoteModal(taskData) {
+        this.currentNoteData = taskData;
+        this.elements.noteModal.setAttribute('aria-hidden', 'false');
+        this.elements.noteModal.style.display = 'flex';
+        this.elements.noteTextarea.value = '';
+        this.elements.noteCategory.value = '';
+        
+        // Set focus to textarea
+        setTimeout(() => {
+            this.elements.noteTextarea.focus();
+        }, 100);
+        
+        // Prevent body scrolling
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeNoteModal() {
+        this.elements.noteModal.setAttribute('aria-hidden', 'true');
+        this.elements.noteModal.style.display = 'none';
+        this.currentNoteData = null;
+        this.currentTaskItem = null;
+        
+        // Leave the modal ready for entering a note again after viewNote()
+        this.elements.noteTextarea.readOnly = false;
+        this.elements.noteCategory.disabled = false;
+        this.elements.saveNote.style.display = '';
+        document.getElementById('modalTitle').textContent = 'Reason for Missing Task';
+        document.getElementById('modalDescription').textContent = 'Please provide a detailed explanation for why this task was not completed. This helps with accountability and future planning.';
+        
+        // Restore body scrolling
+        document.body.style.overflow = '';
+    }
+
+    saveNote() {
+        const note = this.elements.noteTextarea.value.trim();
+        
+        if (!note) {
+            this.showMessage('Please provide a reason for missing this task.', 'warning');
+            return;
+        }
+        
+        if (this.currentNoteData && this.currentNoteData.batch) {
+            // Rollover already marked the task missed; just attach the reason
+            const { date, taskId } = this.currentNoteData;
+            this.editTask(date, taskId, { missedNote: note, missedCategory: this.elements.noteCategory.value || null });
+            this.refreshDays(date);
+            this.closeNoteModal();
+            this.promptNextMissedNote();
+        } else if (this.currentNoteData) {
+            const { date, taskId } = this.currentNoteData;
+            const category = this.elements.noteCategory.value || null;
+            const success = this.updateTaskStatus(date, taskId, 'missed', note, category);
+            
+            if (success) {
+                this.refreshDays(date);
+                this.closeNoteModal();
+                this.showUndoableMessage('Task marked as missed with note', 'info');
+            }
+        }
+    }
+
+    openEditModal(date, taskId) {
+        const task = this.findTask(date, taskId);
+        if (!task) return;
+        
+        this.currentEditData = { date, taskId };
+        this.elements.editText.value = task.text;
+        this.elements.editPriority.value = task.priority || '';
+        this.elements.editEstimate.value = task.estimate || '';
+        this.elements.editDueTime.value = task.dueTime || '';
+        this.elements.editReminder.value = task.reminder != null ? String(task.reminder) : '';
+        this.elements.editProject.value = task.project || '';
+        this.elements.editTags.value = (task.tags || []).join(', ');
+        this.elements.editDate.value = this.formatDateKey(date);
+        this.elements.editNote.value = task.missedNote || '';
+        this.elements.editCategory.value = task.missedCategory || '';
+        this.elements.editNoteField.style.display = task.status === 'missed' ? '' : 'none';
+        this.elements.editSeries.style.display = task.seriesId ? '' : 'none';
+        this.updateEditPositions();
+        
+        this.elements.editModal.setAttribute('aria-hidden', 'false');
+        this.elements.editModal.style.display = 'flex';
+        
+        setTimeout(() => {
+            this.elements.editText.focus();
+            this.elements.editText.select();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeEditModal() {
+        this.elements.editModal.setAttribute('aria-hidden', 'true');
+        this.elements.editModal.style.display = 'none';
+        this.currentEditData = null;
+        
+        document.body.style.overflow = '';
+    }
+
+    // Offer one position per task on the selected date (plus the end when moving days)
+    updateEditPositions() {
+        if (!this.currentEditData) return;
+        
+        const { date, taskId } = this.currentEditData;
+        const targetKey = this.elements.editDate.value || this.formatDateKey(date);
+        const sameDay = targetKey === this.formatDateKey(date);
+        const targetTasks = this.getTasksForDate(this.parseDateKey(targetKey));
+        const count = sameDay ? targetTasks.length : targetTasks.length + 1;
+        const selected = sameDay ? targetTasks.findIndex(task => task.id === taskId) : count - 1;
+        
+        this.elements.editPosition.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = i === 0 ? '1 (first)' : i === count - 1 ? `${i + 1} (last)` : `${i + 1}`;
+            option.selected = i === selected;
+            this.elements.editPosition.appendChild(option);
+        }
+    }
+
+    saveEdit() {
+        if (!this.currentEditData) return;
+        
+        const text = this.elements.editText.value.trim();
+        if (!text) {
+            this.showMessage('Task text cannot be empty.', 'warning');
+            return;
+        }
+        
+        const { date, taskId } = this.currentEditData;
+        const task = this.findTask(date, taskId);
+        if (task && task.status === 'missed' && !this.elements.editNote.value.trim()) {
+            this.showMessage('Please provide a reason for missing this task.', 'warning');
+            return;
+        }
+        
+        const targetDate = this.elements.editDate.value ? this.parseDateKey(this.elements.editDate.value) : date;
+        
+        this.editTask(date, taskId, {
+            text: text,
+            date: targetDate,
+            position: parseInt(this.elements.editPosition.value) || 0,
+            missedNote: this.elements.editNote.value,
+            missedCategory: this.elements.editCategory.value || null,
+            priority: this.elements.editPriority.value,
+            estimate: this.elements.editEstimate.value,
+            dueTime: this.elements.editDueTime.value,
+            reminder: this.elements.editReminder.value,
+            project: this.elements.editProject.value,
+            tags: this.elements.editTags.value
+        });
+        
+        this.closeEditModal();
+        this.refreshDays(date, targetDate);
+        this.showUndoableMessage('Task updated', 'success');
+    }
+
+    viewNote(taskId, date) {
+        const tasks = this.getTasksForDate(date);
+        const task = tasks.find(t => t.id === taskId);
+        
+        if (task && task.missedNote) {
+            this.openNoteModal({ date, taskId });
+            this.elements.noteTextarea.value = task.missedNote;
+            this.elements.noteTextarea.readOnly = true;
+            this.elements.noteCategory.value = task.missedCategory || '';
+            this.elements.noteCategory.disabled = true;
+            this.elements.saveNote.style.display = 'none';
+            
+            // Change modal title for viewing (closeNoteModal restores it)
+            document.getElementById('modalTitle').textContent = 'Note for Missed Task';
+            document.getElementById('modalDescription').textContent = 'This note was added when the task was marked as missed:';
+        }
+    }
+
+    // Reminder methods
+    // When the reminder for a task on dateKey goes off, or null if it has none
+    getReminderTime(dateKey, task) {
+        if (!task.dueTime || task.reminder == null) return null;
+        
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        const date = this.parseDateKey(dateKey);
+        date.setHours(hours, minutes - task.reminder, 0, 0);
+        return date;
+    }
+
+    isTaskOverdue(date, task) {
+        if (task.status !== 'pending' || !task.dueTime) return false;
+        
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        const due = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+        return due < new Date();
+    }
+
+    formatReminderOffset(minutes) {
+        if (minutes === 0) return 'at due time';
+        return minutes === 1440 ? '1 day before' : `${this.formatDuration(minutes)} before`;
+    }
+
+    // Pending tasks whose reminder hasn't been shown and goes off before `until`, soonest first
+    getUpcomingReminders(now, until) {
+        // Tasks due tomorrow can remind today
+        const firstKey = this.formatDateKey(new Date(now.getTime() - REMINDER_GRACE_MS));
+        const reminders = [];
+        
+        Object.keys(this.tasks).filter(dateKey => dateKey >= firstKey).forEach(dateKey => {
+            this.tasks[dateKey].forEach(task => {
+                const at = task.status === 'pending' && this.getReminderTime(dateKey, task);
+                if (!at || at > until || now - at > REMINDER_GRACE_MS) return;
+                if (task.reminderSentFor === at.toISOString()) return;
+                reminders.push({ dateKey, task, at });
+            });
+        });
+        
+        return reminders.sort((a, b) => a.at - b.at);
+    }
+
+    // Today's (or tomorrow's, once today's has passed) daily summary time
+    getNextSummaryTime(now) {
+        if (this.settings.dailySummaryHour === null) return null;
+        
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.settings.dailySummaryHour);
+        return now - today > REMINDER_GRACE_MS ? new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1, this.settings.dailySummaryHour) : today;
+    }
+
+    getDailySummary(date) {
+        const pending = this.getTasksForDate(date).filter(task => task.status === 'pending').length;
+        return {
+            tag: 'aurora-daily-summary',
+            title: 'AURORA daily summary',
+            body: pending === 0 ? 'Nothing pending today' : `${pending} pending today`,
+            date: this.formatDateKey(date),
+            taskId: null
+        };
+    }
+
+    // saveTasks() can run mid-command, so reminders are checked once the current change settles
+    queueReminderCheck() {
+        clearTimeout(this.reminderTimeout);
+        this.reminderTimeout = setTimeout(() => this.scheduleReminders(), 0);
+    }
+
+    // Shows whatever is due now, then sleeps until the next reminder or summary
+    scheduleReminders(now = new Date()) {
+        clearTimeout(this.reminderTimeout);
+        const until = new Date(now.getFullYear(), now.getMonth(), now.getDate() + REMINDER_HORIZON_DAYS + 1);
+        
+        // Bring in recurring occurrences so they can remind too
+        this.getDatesInRange(new Date(now.getFullYear(), now.getMonth(), now.getDate()), until)
+            .forEach(date => this.getTasksForDate(date));
+        
+        const reminders = this.getUpcomingReminders(now, until);
+        const shownDays = new Set();
+        reminders.filter(({ at }) => at <= now).forEach(({ dateKey, task, at }) => {
+            const date = this.parseDateKey(dateKey);
+            const day = this.isSameDay(date, now) ? '' : ` on ${this.formatDateDisplay(date)}`;
+            this.showNotification({ tag: `aurora-task-${task.id}`, title: `⏰ ${task.text}`, body: `Due at ${task.dueTime}${day}`, date: dateKey, taskId: task.id });
+            task.reminderSentFor = at.toISOString();
+            // Stamped like an edit so other tabs take this version and don't show the reminder again
+            task.updatedAt = new Date().toISOString();
+            shownDays.add(dateKey);
+        });
+        if (shownDays.size > 0) this.saveTasks(...shownDays);
+        
+        let summaryAt = this.getNextSummaryTime(now);
+        if (summaryAt && summaryAt <= now) {
+            const todayKey = this.formatDateKey(now);
+            if (this.settings.summarySentOn !== todayKey) {
+                this.showNotification(this.getDailySummary(now));
+                this.settings.summarySentOn = todayKey;
+                this.saveSettings();
+            }
+            summaryAt = new Date(summaryAt.getFullYear(), summaryAt.getMonth(), summaryAt.getDate() + 1, this.settings.dailySummaryHour);
+        }
+        
+        const upcoming = reminders.filter(({ at }) => at > now);
+        const next = Math.min(upcoming.length > 0 ? upcoming[0].at : Infinity, summaryAt || Infinity);
+        // Re-check at least daily; long timeouts overflow and drift across sleep
+        const delay = Math.min(next - now, 24 * 60 * 60 * 1000);
+        this.reminderTimeout = setTimeout(() => this.scheduleReminders(), Math.max(delay, 1000));
+        
+        this.postReminderSchedule(upcoming, summaryAt);
+    }
+
+    canNotify() {
+        return this.settings.notifications && 'Notification' in window && Notification.permission === 'granted';
+    }
+
+    // Falls back to an in-app message when system notifications are off or not allowed
+    showNotification({ tag, title, body, date, taskId }) {
+        if (!this.canNotify()) {
+            this.showMessage(`${title} – ${body}`, 'info');
+            return;
+        }
+        
+        const options = { body, tag, data: { date, taskId } };
+        if (this.swRegistration) {
+            this.swRegistration.showNotification(title, options);
+            return;
+        }
+        
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            this.openNotificationTarget(options.data);
+            notification.close();
+        };
+    }
+
+    openNotificationTarget({ date, taskId }) {
+        if (date) this.navigateToDate(this.parseDateKey(date), taskId ?? null);
+    }
+
+    async setNotificationMode(mode) {
+        if (mode === 'system') {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+            if (permission !== 'granted') {
+                this.showMessage('Notifications are blocked for this site - reminders will show inside AURORA', 'warning');
+            }
+            this.settings.notifications = permission === 'granted';
+        } else {
+            this.settings.notifications = false;
+        }
+        
+        this.saveSettings();
+        this.renderSettings();
+        this.registerPeriodicReminderSync();
+        this.scheduleReminders();
+    }
+
+    // Focus timer methods
+    // Session-scoped like the undo history, so a reload keeps the countdown going
+    loadFocusSession() {
+        try {
+            const sessionJSON = sessionStorage.getItem('auroraFocusSession');
+            return sessionJSON ? JSON.parse(sessionJSON) : null;
+        } catch (error) {
+            console.error('Error loading focus session:', error);
+            return null;
+        }
+    }
+
+    saveFocusSession() {
+        try {
+            if (this.focusSession) {
+                sessionStorage.setItem('auroraFocusSession', JSON.stringify(this.focusSession));
+            } else {
+                sessionStorage.removeItem('auroraFocusSession');
+            }
+        } catch (error) {
+            console.error('Error saving focus session:', error);
+        }
+    }
+
+    startFocusSession(date, taskId) {
+        const task = this.findTask(date, taskId);
+        if (!task) return false;
+        if (task.status !== 'pending') {
+            this.showMessage('Only pending tasks can be focused on', 'warning');
+            return false;
+        }
+        
+        // Switching tasks logs the time already spent on the previous one
+        if (this.focusSession) this.stopFocusSession();
+        
+        const now = Date.now();
+        this.focusSession = { taskId, text: task.text, phase: 'focus', startedAt: now, endsAt: now + this.settings.focusMinutes * 60 * 1000 };
+        this.saveFocusSession();
+        this.resumeFocusSession();
+        this.refreshDays(date);
+        this.showMessage(`Focus session started: ${this.formatDuration(this.settings.focusMinutes)}`, 'success');
+        return true;
+    }
+
+    // Ticks once a second; a phase that ended while the tab was closed finishes straight away
+    resumeFocusSession() {
+        clearInterval(this.focusInterval);
+        this.focusInterval = this.focusSession ? setInterval(() => this.tickFocusSession(), 1000) : null;
+        this.tickFocusSession();
+    }
+
+    tickFocusSession() {
+        if (this.focusSession && Date.now() >= this.focusSession.endsAt) {
+            this.finishFocusPhase();
+        }
+        this.renderFocusTimer();
+    }
+
+    finishFocusPhase() {
+        const session = this.focusSession;
+        
+        if (session.phase === 'break') {
+            this.endFocusSession();
+            this.showNotification({ tag: 'aurora-focus', title: '☕ Break over', body: `Ready for another session on "${session.text}"?` });
+            return;
+        }
+        
+        const minutes = Math.round((session.endsAt - session.startedAt) / 60000);
+        const dateKey = this.logFocusTime(session.taskId, minutes);
+        const summary = `${this.formatDuration(minutes)} on "${session.text}"`;
+        
+        if (this.settings.breakMinutes > 0) {
+            const now = Date.now();
+            this.focusSession = { ...session, phase: 'break', startedAt: now, endsAt: now + this.settings.breakMinutes * 60 * 1000 };
+            this.saveFocusSession();
+            this.refreshFocusedTask(session.taskId);
+        } else {
+            this.endFocusSession();
+        }
+        
+        // The in-app message carries the "mark completed" offer; a system notification only points back to it
+        if (this.canNotify()) {
+            this.showNotification({ tag: 'aurora-focus', title: '⏱️ Focus session complete', body: summary, date: dateKey, taskId: session.taskId });
+        }
+        const task = dateKey && this.findTask(this.parseDateKey(dateKey), session.taskId);
+        if (!task || task.status !== 'pending') {
+            this.showMessage(`Focus session complete: ${summary}`, 'success');
+            return;
+        }
+        this.showMessage(`Focus session complete: ${summary}`, 'success', {
+            label: 'Mark completed',
+            persistent: true,
+            onClick: () => {
+                const date = this.parseDateKey(dateKey);
+                if (this.updateTaskStatus(date, session.taskId, 'completed')) {
+                    this.refreshDays(date);
+                    this.showUndoableMessage('Task marked as completed', 'success');
+                }
+            }
+        });
+    }
+
+    // Stopping early (or switching tasks) still logs the whole minutes spent
+    stopFocusSession() {
+        const session = this.focusSession;
+        if (!session) return;
+        
+        if (session.phase === 'focus') {
+            const minutes = Math.floor((Date.now() - session.startedAt) / 60000);
+            if (this.logFocusTime(session.taskId, minutes) && minutes > 0) {
+                this.showMessage(`Logged ${this.formatDuration(minutes)} on "${session.text}"`, 'info');
+            }
+        }
+        this.endFocusSession();
+    }
+
+    endFocusSession() {
+        const { taskId } = this.focusSession;
+        this.focusSession = null;
+        this.saveFocusSession();
+        clearInterval(this.focusInterval);
+        this.focusInterval = null;
+        this.renderFocusTimer();
+        this.refreshFocusedTask(taskId);
+    }
+
+    // Adds to the task wherever it is now; returns its date key, or null once it has been deleted
+    logFocusTime(taskId, minutes) {
+        const dateKey = this.getTaskLocations().get(taskId) || null;
+        if (!dateKey || minutes < 1) return dateKey;
+        
+        const task = this.findTask(this.parseDateKey(dateKey), taskId);
+        const command = this.beginCommand('Log focus time', [dateKey]);
+        task.trackedMinutes = (task.trackedMinutes || 0) + minutes;
+        task.updatedAt = new Date().toISOString();
+        this.saveTasks(dateKey);
+        this.commitCommand(command);
+        this.refreshDays(this.parseDateKey(dateKey));
+        return dateKey;
+    }
+
+    refreshFocusedTask(taskId) {
+        const dateKey = this.getTaskLocations().get(taskId);
+        if (dateKey) this.refreshDays(this.parseDateKey(dateKey));
+    }
+
+    formatCountdown(milliseconds) {
+        const seconds = Math.max(0, Math.ceil(milliseconds / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    renderFocusTimer() {
+        const session = this.focusSession;
+        this.elements.focusTimer.hidden = !session;
+        
+        if (session) {
+            this.elements.focusTimer.classList.toggle('break', session.phase === 'break');
+            this.elements.focusPhase.textContent = session.phase === 'focus' ? 'Focus' : 'Break';
+            this.elements.focusCountdown.textContent = this.formatCountdown(session.endsAt - Date.now());
+            this.elements.focusTask.textContent = session.text;
+        }
+        this.updateDocumentTitle();
+    }
+
+    // The countdown while a session runs, the time of day otherwise
+    updateDocumentTitle() {
+        const session = this.focusSession;
+        if (session) {
+            const icon = session.phase === 'focus' ? '⏱️' : '☕';
+            document.title = `${icon} ${this.formatCountdown(session.endsAt - Date.now())} · ${session.text} - AURORA`;
+            return;
+        }
+        
+        const timeString = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.title = `AURORA | ${timeString} - Daily Task Tracker`;
+    }
+
+    // Offline app methods
+    // Service workers need http(s); opened from disk there's no offline cache and
+    // reminders only go off while the tab is open
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'open-task') this.openNotificationTarget(e.data);
+        });
+        // The first install also takes control, so only reload when the user asked for the update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) window.location.reload();
+        });
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                this.watchForUpdates(registration);
+                return navigator.serviceWorker.ready;
+            })
+            .then(registration => {
+                this.swRegistration = registration;
+                this.registerPeriodicReminderSync();
+                this.scheduleReminders();
+            })
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
+
+    watchForUpdates(registration) {
+        // A worker can't be waiting without a controller unless it's an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateMessage(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateMessage(worker);
+                }
+            });
+        });
+        
+        // Long-lived tabs check for a new deploy every hour
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }
+
+    showUpdateMessage(worker) {
+        this.showMessage('A new version of AURORA is available', 'info', {
+            label: 'Reload',
+            persistent: true,
+            onClick: () => {
+                this.updateRequested = true;
+                // Let queued writes land before the page goes away
+                this.autoSave().finally(() => worker.postMessage({ type: 'skip-waiting' }));
+            }
+        });
+    }
+
+    async installApp() {
+        const prompt = this.installPrompt;
+        if (!prompt) return;
+        
+        this.installPrompt = null;
+        this.elements.installBtn.hidden = true;
+        prompt.prompt();
+        
+        const { outcome } = await prompt.userChoice;
+        if (outcome !== 'accepted') {
+            this.showMessage('You can install AURORA later from the browser menu', 'info');
+        }
+    }
+
+    // Lets the worker catch up on reminders where Notification Triggers aren't supported
+    registerPeriodicReminderSync() {
+        if (!this.swRegistration || !('periodicSync' in this.swRegistration)) return;
+        
+        const sync = this.swRegistration.periodicSync;
+        (this.settings.notifications ? sync.register('aurora-reminders', { minInterval: 15 * 60 * 1000 }) : sync.unregister('aurora-reminders'))
+            .catch(error => console.warn('Periodic sync unavailable:', error));
+    }
+
+    // Hands the worker everything due within the horizon, so it can try to show them with no tab open
+    postReminderSchedule(reminders, summaryAt) {
+        const worker = this.swRegistration && this.swRegistration.active;
+        if (!worker) return;
+        
+        const schedule = !this.canNotify() ? [] : reminders.map(({ dateKey, task, at }) => ({
+            tag: `aurora-task-${task.id}`,
+            title: `⏰ ${task.text}`,
+            body: `Due at ${task.dueTime}`,
+            date: dateKey,
+            taskId: task.id,
+            at: at.getTime()
+        }));
+        if (summaryAt && this.canNotify()) {
+            schedule.push({ ...this.getDailySummary(summaryAt), at: summaryAt.getTime() });
+        }
+        
+        const json = JSON.stringify(schedule);
+        if (json === this.postedReminderSchedule) return;
+        this.postedReminderSchedule = json;
+        worker.postMessage({ type: 'schedule-reminders', reminders: schedule });
+    }
+
+    // Multi-tab sync methods
+    // Each tab announces its writes; the others merge them task by task, keeping the newest edit
+    setupTabSync() {
+        this.rememberSyncedDays(Object.keys(this.tasks));
+        Object.keys(SYNCED_COLLECTIONS).forEach(type => this.rememberSyncedCollection(type));
+        
+        if ('BroadcastChannel' in window) {
+            this.syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+            this.syncChannel.addEventListener('message', (e) => this.handleSyncMessage(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === SYNC_CHANNEL && e.newValue) this.handleSyncMessage(JSON.parse(e.newValue));
+            });
+        }
+        this.syncReady = true;
+    }
+
+    broadcastSync(message) {
+        if (!this.syncReady) return;
+        
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else {
+                // Other tabs get a storage event per write; clearing the key lets the same message fire again
+                localStorage.setItem(SYNC_CHANNEL, JSON.stringify(message));
+                localStorage.removeItem(SYNC_CHANNEL);
+            }
+        } catch (error) {
+            console.warn('Could not notify other tabs:', error);
+        }
+    }
+
+    broadcastDays(dateKeys) {
+        if (!this.syncReady) return;
+        
+        const days = {};
+        const removed = {};
+        dateKeys.forEach(dateKey => {
+            const tasks = this.tasks[dateKey] || [];
+            const synced = this.syncedStamps.get(dateKey) || new Map();
+            days[dateKey] = this.tasks[dateKey] || null;
+            // [id, stamp] of each deleted task as this tab last shared it, so newer edits elsewhere survive
+            removed[dateKey] = [...synced].filter(([id]) => !tasks.some(task => task.id === id));
+        });
+        this.rememberSyncedDays(dateKeys);
+        this.broadcastSync({ type: 'days', days, removed });
+    }
+
+    // Whole-store rewrites (imports, migrations) are reread from storage rather than sent
+    broadcastReload() {
+        if (!this.syncReady) return;
+        
+        this.syncedStamps.clear();
+        this.rememberSyncedDays(Object.keys(this.tasks));
+        this.storage.flush().then(() => this.broadcastSync({ type: 'reload' }));
+    }
+
+    // Sends a whole list with the [key, stamp] of each item deleted since it was last synced
+    broadcastCollection(type) {
+        if (!this.syncReady) return;
+        
+        const items = this[SYNCED_COLLECTIONS[type].property];
+        const keys = new Set(items.map(item => this.getSyncKey(type, item)));
+        const synced = this.syncedCollections.get(type) || new Map();
+        const removed = [...synced].filter(([key]) => !keys.has(key));
+        this.rememberSyncedCollection(type);
+        this.broadcastSync({ type, items, removed });
+    }
+
+    // Activities never change once logged and their ids can repeat, so their content identifies them
+    getSyncKey(type, item) {
+        return type === 'activities' ? JSON.stringify(item) : item.id;
+    }
+
+    // Single entries are sent on their own; counting them as synced lets a later prune remove them everywhere
+    rememberSyncedActivity(activity) {
+        const synced = this.syncedCollections.get('activities');
+        if (synced) synced.set(this.getSyncKey('activities', activity), this.getTaskStamp(activity));
+    }
+
+    rememberSyncedCollection(type) {
+        this.syncedCollections.set(type, new Map(this[SYNCED_COLLECTIONS[type].property].map(item =>
+            [this.getSyncKey(type, item), this.getTaskStamp(item)])));
+    }
+
+    // Each task's stamp as this tab last sent or received it, to tell deletions from additions
+    rememberSyncedDays(dateKeys) {
+        dateKeys.forEach(dateKey => {
+            this.syncedStamps.set(dateKey, new Map((this.tasks[dateKey] || []).map(task => [task.id, this.getTaskStamp(task)])));
+        });
+    }
+
+    handleSyncMessage(message) {
+        if (!message) return;
+        
+        if (message.type === 'days') {
+            this.applySyncedDays(message.days, message.removed || {});
+        } else if (message.type === 'reload') {
+            this.reloadFromStorage();
+        } else if (SYNCED_COLLECTIONS[message.type]) {
+            this.applySyncedCollection(message.type, message.items, message.removed || []);
+        } else if (message.type === 'journal') {
+            this.applySyncedJournal(message);
+        } else if (message.type === 'settings') {
+            this.applySyncedSettings(message.settings);
+        } else if (message.type === 'activity') {
+            this.activities.unshift(message.activity);
+            this.rememberSyncedActivity(message.activity);
+            this.updateRecentActivity();
+        }
+    }
+
+    // Items on both sides keep the newer version. A deletion on either side wins unless the
+    // other side has edited the item since; remote order wins and local additions go last.
+    // removed: [key, stamp] pairs for the items the other tab deleted, with the version it last saw.
+    // synced: key -> stamp as this tab last sent or received the list.
+    mergeSyncedItems(localItems, remoteItems, removed, synced, keyOf = item => item.id) {
+        const deletedStamps = new Map(removed);
+        const local = new Map(localItems.map(item => [keyOf(item), item]));
+        const remoteKeys = new Set(remoteItems.map(keyOf));
+        const changedSinceSync = (item) => synced.get(keyOf(item)) !== this.getTaskStamp(item);
+        
+        const merged = [];
+        remoteItems.forEach(item => {
+            const mine = local.get(keyOf(item));
+            if (mine) {
+                merged.push(this.pickNewerTask(mine, item));
+            } else if (changedSinceSync(item)) {
+                // New to this tab, or deleted here but edited there since
+                merged.push(item);
+            }
+        });
+        local.forEach((item, key) => {
+            // Missing remotely because the other tab hasn't seen it yet, or because it deleted it.
+            // Compared with the deleted version rather than our own sync stamp, so an edit this tab
+            // sent while the other deleted survives in both tabs instead of only the deleting one.
+            if (remoteKeys.has(key)) return;
+            if (!deletedStamps.has(key) || this.getTaskStamp(item) > deletedStamps.get(key)) merged.push(item);
+        });
+        return merged;
+    }
+
+    mergeSyncedDay(dateKey, remoteTasks, removed) {
+        const merged = this.mergeSyncedItems(this.tasks[dateKey] || [], remoteTasks, removed,
+            this.syncedStamps.get(dateKey) || new Map());
+        
+        // Both tabs may have created the same recurring occurrence; keep one untouched copy
+        return merged.filter(task => !task.seriesId || task.updatedAt || !merged.some(other =>
+            other !== task && other.seriesId === task.seriesId && (other.updatedAt || other.id < task.id)));
+    }
+
+    // Ties (same stamp, different content) are broken the same way in every tab
+    pickNewerTask(a, b) {
+        const stampA = this.getTaskStamp(a);
+        const stampB = this.getTaskStamp(b);
+        if (stampA !== stampB) return stampA > stampB ? a : b;
+        return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+    }
+
+    applySyncedDays(days, removed) {
+        const writeBack = [];
+        const visible = [];
+        
+        Object.entries(days).forEach(([dateKey, remoteTasks]) => {
+            const remote = remoteTasks || [];
+            const merged = this.mergeSyncedDay(dateKey, remote, removed[dateKey] || []);
+            if (merged.length > 0) {
+                this.tasks[dateKey] = merged;
+            } else {
+                delete this.tasks[dateKey];
+            }
+            
+            // Anything kept from this tab goes back out, until every tab holds the same day
+            if (JSON.stringify(merged) !== JSON.stringify(remote)) {
+                writeBack.push(dateKey);
+            } else {
+                this.rememberSyncedDays([dateKey]);
+            }
+            if (this.isDateVisible(this.parseDateKey(dateKey))) visible.push(this.parseDateKey(dateKey));
+        });
+        
+        if (writeBack.length > 0) {
+            this.saveTasks(...writeBack);
+        } else {
+            this.invalidateSearchIndex(Object.keys(days));
+            this.queueReminderCheck();
+            this.updateStatistics();
+            this.updateWeekProgress();
+        }
+        if (visible.length > 0) this.refreshDays(...visible);
+    }
+
+    applySyncedCollection(type, remoteItems, removed) {
+        const { property, save } = SYNCED_COLLECTIONS[type];
+        const merged = this.mergeSyncedItems(this[property], remoteItems, removed,
+            this.syncedCollections.get(type) || new Map(), item => this.getSyncKey(type, item));
+        if (type === 'activities') merged.sort((a, b) => b.timestamp - a.timestamp);
+        this[property] = merged;
+        
+        // Anything kept from this tab goes back out, until every tab holds the same list
+        if (JSON.stringify(merged) !== JSON.stringify(remoteItems)) {
+            this[save]();
+        } else {
+            this.rememberSyncedCollection(type);
+        }
+        
+        if (type === 'recurring') {
+            this.materializedDates.clear();
+            this.renderCalendar();
+        } else if (type === 'templates') {
+            if (this.elements.templatesModal.style.display === 'flex') this.renderTemplateList();
+        } else if (type === 'reviews') {
+            this.updatePeriodDisplay();
+        } else {
+            this.updateRecentActivity();
+        }
+    }
+
+    // Keeps this tab's view; everything else follows the tab that changed it
+    applySyncedSettings(settings) {
+        const weekStartChanged = settings.weekStart !== this.settings.weekStart;
+        this.settings = { ...DEFAULT_SETTINGS, ...settings, calendarView: this.settings.calendarView };
+        this.renderSettings();
+        
+        if (weekStartChanged) {
+            this.quickAddParser.weekStart = this.settings.weekStart;
+            this.weekCache.clear();
+            this.setFocusDate(this.focusDate);
+            this.updatePeriodDisplay();
+        }
+        this.renderCalendar();
+        this.updateWeekProgress();
+        this.renderAnalytics();
+        this.registerPeriodicReminderSync();
+        this.queueReminderCheck();
+    }
+
+    async reloadFromStorage() {
+        const calendarView = this.settings.calendarView;
+        await this.loadData();
+        this.settings.calendarView = calendarView;
+        
+        this.syncedStamps.clear();
+        this.rememberSyncedDays(Object.keys(this.tasks));
+        Object.keys(SYNCED_COLLECTIONS).forEach(type => this.rememberSyncedCollection(type));
+        this.materializedDates.clear();
+        this.invalidateSearchIndex([]);
+        this.quickAddParser.weekStart = this.settings.weekStart;
+        this.weekCache.clear();
+        this.setFocusDate(this.focusDate);
+        this.renderSettings();
+        this.renderCalendar();
+        this.updateStatistics();
+        this.updateRecentActivity();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        this.queueReminderCheck();
+    }
+
+    // End-of-day rollover methods
+    renderSettings() {
+        this.elements.rolloverMode.value = this.settings.rollover;
+        this.elements.weekStart.value = String(this.settings.weekStart);
+        this.elements.progressWeight.value = this.settings.progressWeight;
+        this.elements.activityRetention.value = String(this.settings.activityRetention);
+        this.elements.notificationMode.value = this.settings.notifications ? 'system' : 'in-app';
+        this.elements.dailySummaryHour.value = this.settings.dailySummaryHour === null ? '' : String(this.settings.dailySummaryHour);
+        this.elements.focusMinutes.value = String(this.settings.focusMinutes);
+        this.elements.breakMinutes.value = String(this.settings.breakMinutes);
+    }
+
+    setWeekStart(weekStart) {
+        this.settings.weekStart = weekStart;
+        this.quickAddParser.weekStart = weekStart;
+        this.saveSettings();
+        
+        // Cached weeks were built from the old start day
+        this.weekCache.clear();
+        this.setFocusDate(this.focusDate);
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        this.renderAnalytics();
+    }
+
+    setRolloverMode(mode) {
+        // Start from yesterday when turning it on, so older backlogs aren't swept up
+        if (this.settings.rollover === 'off' && mode !== 'off') {
+            const yesterday = new Date();
+            yesterday.setDate(yesterday.getDate() - 1);
+            this.settings.rolloverSince = this.formatDateKey(yesterday);
+        }
+        
+        this.settings.rollover = mode;
+        this.saveSettings();
+        this.handleDayChange();
+    }
+
+    // Carry or miss pending tasks on days before today; returns how many were handled
+    runRollover(now = new Date()) {
+        this.lastDayKey = this.formatDateKey(now);
+        const { rollover, rolloverSince } = this.settings;
+        if (rollover === 'off' || !rolloverSince) return 0;
+        
+        const todayKey = this.lastDayKey;
+        const pastKeys = Object.keys(this.tasks)
+            .filter(dateKey => dateKey >= rolloverSince && dateKey < todayKey)
+            .filter(dateKey => this.tasks[dateKey].some(task => task.status === 'pending'))
+            .sort();
+        if (pastKeys.length === 0) return 0;
+        
+        const command = this.beginCommand('Roll over tasks', [...pastKeys, todayKey]);
+        let count = 0;
+        
+        pastKeys.forEach(dateKey => {
+            const date = this.parseDateKey(dateKey);
+            this.tasks[dateKey].filter(task => task.status === 'pending').forEach(task => {
+                // Repeating tasks already have today's occurrence, so those are missed instead
+                if (rollover === 'carry' && !task.seriesId) {
+                    task.carriedFrom = task.carriedFrom || dateKey;
+                    this.moveTask(date, task.id, now);
+                } else {
+                    this.updateTaskStatus(date, task.id, 'missed');
+                    task.autoMissed = true;
+                }
+                count++;
+            });
+        });
+        
+        this.saveTasks(...pastKeys, todayKey);
+        this.commitCommand(command);
+        return count;
+    }
+
+    // Re-arm for the next local midnight (the Date constructor handles 23/25 hour days)
+    scheduleRollover() {
+        clearTimeout(this.rolloverTimeout);
+        const now = new Date();
+        const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        this.rolloverTimeout = setTimeout(() => this.handleDayChange(), midnight - now + 1000);
+    }
+
+    handleDayChange() {
+        this.currentDate = new Date();
+        const count = this.runRollover(this.currentDate);
+        this.pruneActivities();
+        
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        if (count > 0) this.showRolloverMessage(count);
+        
+        this.scheduleRollover();
+        this.promptNextMissedNote();
+    }
+
+    showRolloverMessage(count) {
+        const tasks = `${count} unfinished ${count === 1 ? 'task' : 'tasks'}`;
+        this.showUndoableMessage(this.settings.rollover === 'carry' ? 
+            `${tasks} carried over to today` : `${tasks} marked as missed`, 'info');
+    }
+
+    // Tasks missed by rollover that still need a reason, oldest first
+    getUnnotedMissedTasks() {
+        return Object.keys(this.tasks).sort().flatMap(dateKey => this.tasks[dateKey]
+            .filter(task => task.autoMissed && task.status === 'missed' && !task.missedNote && !this.skippedNotes.has(task.id))
+            .map(task => ({ dateKey, task })));
+    }
+
+    // Walk through the rolled-over tasks one note at a time using the note modal
+    promptNextMissedNote() {
+        if (this.elements.noteModal.style.display === 'flex') return;
+        
+        const queue = this.getUnnotedMissedTasks();
+        if (queue.length === 0) return;
+        
+        const { dateKey, task } = queue[0];
+        const date = this.parseDateKey(dateKey);
+        this.openNoteModal({ date, taskId: task.id, batch: true });
+        document.getElementById('modalDescription').textContent = 
+            `"${task.text}" from ${this.formatDateDisplay(date)} was left unfinished. Why?` +
+            (queue.length > 1 ? ` ${queue.length - 1} more after this one - Cancel skips to the next.` : '');
+    }
+
+    // Search methods
+    // Everything a query can match, lower-cased once per task
+    getSearchText(task) {
+        const category = this.getMissedCategory(task.missedCategory);
+        return [
+            task.text,
+            task.status,
+            task.missedNote,
+            category && category.label,
+            task.project,
+            ...(task.tags || []).map(tag => `#${tag}`),
+            ...(task.subtasks || []).map(subtask => subtask.text)
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    // Called from saveTasks: re-index just the saved days, or everything when none are named
+    invalidateSearchIndex(dateKeys) {
+        if (dateKeys.length === 0) {
+            this.searchIndex = null;
+            this.staleSearchDays.clear();
+        } else if (this.searchIndex) {
+            dateKeys.forEach(dateKey => this.staleSearchDays.add(dateKey));
+        }
+    }
+
+    getSearchIndex() {
+        const indexDay = (dateKey) => {
+            const tasks = this.tasks[dateKey];
+            if (tasks && tasks.length > 0) {
+                this.searchIndex.set(dateKey, tasks.map(task => ({ task, text: this.getSearchText(task) })));
+            } else {
+                this.searchIndex.delete(dateKey);
+            }
+        };
+        
+        if (!this.searchIndex) {
+            this.searchIndex = new Map();
+            Object.keys(this.tasks).forEach(indexDay);
+        } else {
+            this.staleSearchDays.forEach(indexDay);
+        }
+        this.staleSearchDays.clear();
+        
+        return this.searchIndex;
+    }
+
+    // filters: { query, status, from, to, tags }; returns [{ dateKey, task }] newest day first
+    searchTasks(filters) {
+        const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const tags = this.normalizeTags(filters.tags);
+        const results = [];
+        
+        this.getSearchIndex().forEach((entries, dateKey) => {
+            if (filters.from && dateKey < filters.from) return;
+            if (filters.to && dateKey > filters.to) return;
+            
+            entries.forEach(({ task, text }) => {
+                if (filters.status && task.status !== filters.status) return;
+                if (tags.some(tag => !(task.tags || []).includes(tag))) return;
+                if (terms.some(term => !text.includes(term))) return;
+                results.push({ dateKey, task });
+            });
+        });
+        
+        return results.sort((a, b) => b.dateKey.localeCompare(a.dateKey));
+    }
+
+    // Journal entries for a text query within the date range, as [{ dateKey, journal }];
+    // status and tag filters only apply to tasks, so they leave the journal out
+    searchJournal(filters) {
+        const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0 || filters.status || this.normalizeTags(filters.tags).length > 0) return [];
+        
+        return Object.entries(this.journal)
+            .filter(([dateKey]) => (!filters.from || dateKey >= filters.from) && (!filters.to || dateKey <= filters.to))
+            .filter(([, journal]) => {
+                const text = `${journal.text} ${this.describeJournalEntry(journal)}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .map(([dateKey, journal]) => ({ dateKey, journal }));
+    }
+
+    openSearchModal() {
+        this.elements.searchModal.setAttribute('aria-hidden', 'false');
+        this.elements.searchModal.style.display = 'flex';
+        this.renderSearchResults();
+        
+        setTimeout(() => {
+            this.elements.searchInput.focus();
+            this.elements.searchInput.select();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeSearchModal() {
+        clearTimeout(this.searchTimeout);
+        this.elements.searchModal.setAttribute('aria-hidden', 'true');
+        this.elements.searchModal.style.display = 'none';
+        
+        document.body.style.overflow = '';
+    }
+
+    renderSearchResults() {
+        const filters = {
+            query: this.elements.searchInput.value.trim(),
+            status: this.elements.searchStatus.value,
+            from: this.elements.searchFrom.value,
+            to: this.elements.searchTo.value,
+            tags: this.elements.searchTags.value
+        };
+        
+        if (!filters.query && !filters.status && !filters.from && !filters.to && !filters.tags.trim()) {
+            this.elements.searchSummary.textContent = 'Type to search every day you have tasks or journal entries on.';
+            this.elements.searchResults.innerHTML = '';
+            return;
+        }
+        
+        // Rendering thousands of rows would stall typing, so show the newest ones
+        const limit = 200;
+        const results = [...this.searchJournal(filters), ...this.searchTasks(filters)]
+            .sort((a, b) => b.dateKey.localeCompare(a.dateKey));
+        const shown = results.slice(0, limit);
+        this.elements.searchSummary.textContent = results.length === 0 ? 'No matching tasks' :
+            results.length > limit ? `Showing the newest ${limit} of ${results.length} matches` :
+            `${results.length} ${results.length === 1 ? 'match' : 'matches'}`;
+        
+        const groups = [];
+        shown.forEach(({ dateKey, task, journal }) => {
+            if (groups.length === 0 || groups[groups.length - 1].dateKey !== dateKey) {
+                groups.push({ dateKey, journal: null, tasks: [] });
+            }
+            const group = groups[groups.length - 1];
+            if (journal) {
+                group.journal = journal;
+            } else {
+                group.tasks.push(task);
+            }
+        });
+        
+        this.elements.searchResults.innerHTML = groups.map(({ dateKey, journal, tasks }) => {
+            const date = this.parseDateKey(dateKey);
+            return html`
+                <section class="search-group" aria-label="${this.formatDateDisplay(date)}">
+                    <h3 class="search-group-title">${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</h3>
+                    ${journal ? html`
+                        <button type="button" class="search-result journal" data-date="${dateKey}">
+                            <span class="search-result-text">📓 ${journal.text || 'Journal entry'}</span>
+                            <span class="search-result-meta">${this.describeJournalEntry(journal)}</span>
+                        </button>
+                    ` : ''}
+                    ${tasks.map(task => html`
+                        <button type="button" class="search-result ${task.status}" data-date="${dateKey}" data-task-id="${task.id}">
+                            <span class="search-result-text">${task.text}</span>
+                            <span class="search-result-meta">
+                                ${task.status}${(task.tags || []).map(tag => ` · #${tag}`)}${task.missedNote ? ` · 💬 ${task.missedNote}` : ''}
+                            </span>
+                        </button>
+                    `)}
+                </section>
+            `;
+        }).join('');
+    }
+
+    // Missed review methods
+    getMissedCategory(id) {
+        return MISSED_CATEGORIES.find(category => category.id === id) || null;
+    }
+
+    createCategoryOptions(selected) {
+        const options = MISSED_CATEGORIES.map(category => 
+            html`<option value="${category.id}" ${category.id === selected ? 'selected' : ''}>${category.icon} ${category.label}</option>`
+        );
+        return html`<option value="">Uncategorized</option>${options}`;
+    }
+
+    // Most common reason categories per week or month, newest period first
+    summarizeMissedReasons(entries, groupBy) {
+        const periods = new Map();
+        
+        entries.forEach(([dateKey, task]) => {
+            const date = this.parseDateKey(dateKey);
+            let key;
+            let label;
+            if (groupBy === 'month') {
+                key = dateKey.slice(0, 7);
+                label = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+            } else {
+                const weekStart = this.getWeekStartDate(date);
+                key = this.formatDateKey(weekStart);
+                label = `Week ${this.getDisplayWeek(weekStart).week} · ${this.formatDateDisplay(weekStart)}`;
+            }
+            
+            if (!periods.has(key)) periods.set(key, { key, label, total: 0, counts: {} });
+            const period = periods.get(key);
+            const category = task.missedCategory || 'uncategorized';
+            period.total++;
+            period.counts[category] = (period.counts[category] || 0) + 1;
+        });
+        
+        return Array.from(periods.values())
+            .sort((a, b) => b.key.localeCompare(a.key))
+            .map(({ key, label, total, counts }) => ({
+                key,
+                label,
+                total,
+                categories: Object.entries(counts)
+                    .map(([id, count]) => ({ id, count }))
+                    .sort((a, b) => b.count - a.count)
+            }));
+    }
+
+    openReviewModal() {
+        this.renderMissedReview();
+        this.elements.reviewModal.setAttribute('aria-hidden', 'false');
+        this.elements.reviewModal.style.display = 'flex';
+        
+        setTimeout(() => {
+            this.elements.reviewRange.focus();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeReviewModal() {
+        this.elements.reviewModal.setAttribute('aria-hidden', 'true');
+        this.elements.reviewModal.style.display = 'none';
+        
+        document.body.style.overflow = '';
+    }
+
+    renderMissedReview() {
+        const { startKey, endKey } = this.getExportRange(this.elements.reviewRange.value);
+        const entries = this.getTasksInRange(startKey, endKey).filter(([, task]) => task.status === 'missed');
+        
+        if (entries.length === 0) {
+            this.elements.reviewSummary.innerHTML = '';
+            this.elements.reviewList.innerHTML = html`
+                <div class="empty-state">
+                    <div class="empty-icon" aria-hidden="true">🎉</div>
+                    <p>No missed tasks between ${startKey} and ${endKey}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.elements.reviewSummary.innerHTML = this.summarizeMissedReasons(entries, this.elements.reviewGroup.value)
+            .map(period => html`
+                <div class="review-period" role="listitem">
+                    <div class="review-period-title">${period.label} <span class="review-count">${period.total} missed</span></div>
+                    <div class="review-categories">
+                        ${period.categories.map(({ id, count }) => {
+                            const category = this.getMissedCategory(id);
+                            const label = category ? `${category.icon} ${category.label}` : 'Uncategorized';
+                            return html`<span class="review-category">${label} <strong>${count}</strong></span>`;
+                        })}
+                    </div>
+                </div>
+            `).join('');
+        
+        // Newest first, like the activity feed
+        this.elements.reviewList.innerHTML = entries.reverse().map(([dateKey, task]) => html`
+            <div class="review-item" role="listitem">
+                <div class="review-item-header">
+                    <span class="review-date">${this.formatDateDisplay(this.parseDateKey(dateKey))}</span>
+                    <span class="review-task">${task.text}</span>
+                </div>
+                <p class="review-note">${task.missedNote || html`<em>No note</em>`}</p>
+                <select class="form-input" data-date="${dateKey}" data-task-id="${task.id}" aria-label="Reason category for ${task.text}">
+                    ${this.createCategoryOptions(task.missedCategory || null)}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    // Navigation methods
+    // Step one day, week, month or year, whichever the current view shows
+    navigatePeriod(direction) {
+        const view = this.settings.calendarView;
+        const date = new Date(this.focusDate);
+        
+        if (view === 'day' || view === 'week') {
+            date.setDate(date.getDate() + direction * (view === 'day' ? 1 : 7));
+            this.setFocusDate(date);
+        } else {
+            this.setFocusDate(this.addMonths(date, direction * (view === 'month' ? 1 : 12)));
+        }
+        
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        
+        // Clear cache for old week
+        const oldCacheKey = this.formatDateKey(new Date(this.currentWeekStart));
+        this.weekCache.delete(oldCacheKey);
+        
+        this.showMessage(`Navigated to ${direction > 0 ? 'next' : 'previous'} ${view}`, 'info');
+    }
+
+    // Same month and day in another year, keeping the current view
+    navigateYear(direction) {
+        this.setFocusDate(this.addMonths(this.focusDate, direction * 12));
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        this.showMessage(`Navigated to ${this.focusDate.getFullYear()}`, 'info');
+    }
+
+    goToToday() {
+        this.currentDate = new Date();
+        this.setFocusDate(this.currentDate);
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        this.showMessage('Navigated to today', 'success');
+    }
+
+    // Show the week containing date and highlight its day card (or one task on it).
+    // The day view stays put; month and year views have no task cards, so they switch to the week.
+    navigateToDate(date, taskId = null) {
+        this.setFocusDate(date);
+        if (this.settings.calendarView !== 'day') {
+            this.settings.calendarView = 'week';
+            this.saveSettings();
+        }
+        this.renderCalendar();
+        this.updatePeriodDisplay();
+        this.updateWeekProgress();
+        
+        // Bring the day into view once the week has rendered
+        const dateKey = this.formatDateKey(date);
+        raf(() => {
+            const dayCard = document.querySelector(`.day-card[data-date="${dateKey}"]`);
+            if (!dayCard) return;
+            
+            const target = (taskId !== null && dayCard.querySelector(`.task-item[data-task-id="${taskId}"]`)) || dayCard;
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            target.classList.add('highlight');
+            setTimeout(() => target.classList.remove('highlight'), 2000);
+        });
+        
+        this.showMessage(`Navigated to ${this.formatDateDisplay(date)}`, 'info');
+    }
+
+    navigateToMonth(monthIndex) {
+        const year = this.focusDate.getFullYear();
+        this.setFocusDate(new Date(year, monthIndex, 1));
+        this.setView('month');
+        this.showMessage(`Navigated to ${new Date(year, monthIndex).toLocaleString('default', { month: 'long' })} ${year}`, 'info');
+    }
+
+    // Deep link methods
+    // Routes: #/2026 (year), #/2026-10 (month), #/2026/W42 (ISO week), #/2026-10-19 (day)
+    getRouteHash() {
+        const date = this.focusDate;
+        const pad = (value) => String(value).padStart(2, '0');
+        
+        switch (this.settings.calendarView) {
+            case 'day':
+                return `#/${this.formatDateKey(date)}`;
+            case 'month':
+                return `#/${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+            case 'year':
+                return `#/${date.getFullYear()}`;
+            default: {
+                const { week, year } = this.getDisplayWeek(this.currentWeekStart);
+                return `#/${year}/W${pad(week)}`;
+            }
+        }
+    }
+
+    // Returns { view, date } for a route hash, or null when it isn't one
+    parseRoute(hash) {
+        const path = hash.replace(/^#\/?/, '');
+        let match;
+        
+        if ((match = path.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+            const date = this.parseDateKey(path);
+            return this.formatDateKey(date) === path ? { view: 'day', date } : null;
+        }
+        if ((match = path.match(/^(\d{4})-(\d{2})$/))) {
+            const month = Number(match[2]) - 1;
+            return month >= 0 && month < 12 ? { view: 'month', date: new Date(Number(match[1]), month, 1) } : null;
+        }
+        if ((match = path.match(/^(\d{4})\/W(\d{1,2})$/i))) {
+            const year = Number(match[1]);
+            const week = Number(match[2]);
+            // Week 1 is the one holding January 4th; step from its Monday
+            const jan4 = new Date(year, 0, 4);
+            const monday = new Date(year, 0, 4 - (jan4.getDay() + 6) % 7 + (week - 1) * 7);
+            return week >= 1 && this.getISOWeek(monday).week === week ? { view: 'week', date: monday } : null;
+        }
+        if ((match = path.match(/^(\d{4})$/))) {
+            return { view: 'year', date: new Date(Number(match[1]), 0, 1) };
+        }
+        return null;
+    }
+
+    // Show the period named in the URL, then rewrite the URL in canonical form
+    applyRoute() {
+        const route = this.parseRoute(window.location.hash);
+        if (route) {
+            this.setFocusDate(route.date);
+            this.settings.calendarView = route.view;
+        }
+        
+        history.replaceState(history.state, '', this.getRouteHash());
+        return Boolean(route);
+    }
+
+    // New periods get their own history entry so back/forward step through them
+    updateRoute() {
+        const hash = this.getRouteHash();
+        if (window.location.hash !== hash) {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    addQuickTask() {
+        const taskText = this.elements.quickTaskInput.value.trim();
+        if (!taskText) return;
+        
+        const today = new Date();
+        const added = this.addParsedTask(taskText, today);
+        this.elements.quickTaskInput.value = '';
+        this.renderQuickAddPreview(this.elements.quickAddPreview, '', today);
+        
+        if (added.recurrence) {
+            this.renderCalendar();
+        } else if (this.isDateVisible(added.date)) {
+            this.refreshDays(added.date);
+        }
+        
+        this.showUndoableMessage(this.describeAddedTask(added, today), 'success');
+    }
+
+    // Template methods
+    openTemplatesModal() {
+        const dateKey = this.formatDateKey(this.focusDate);
+        this.elements.templateSourceDate.value = dateKey;
+        this.elements.templateTargetDate.value = dateKey;
+        this.elements.templateName.value = '';
+        this.renderTemplateList();
+        
+        this.elements.templatesModal.setAttribute('aria-hidden', 'false');
+        this.elements.templatesModal.style.display = 'flex';
+        
+        setTimeout(() => {
+            this.elements.templateName.focus();
+        }, 100);
+        
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeTemplatesModal() {
+        this.elements.templatesModal.setAttribute('aria-hidden', 'true');
+        this.elements.templatesModal.style.display = 'none';
+        
+        document.body.style.overflow = '';
+    }
+
+    renderTemplateList() {
+        if (this.templates.length === 0) {
+            this.elements.templateList.innerHTML = html`
+                <div class="empty-state">
+                    <div class="empty-icon" aria-hidden="true">📋</div>
+                    <p>No templates yet - save a day above or import a teammate's file</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.elements.templateList.innerHTML = this.templates.map(template => html`
+            <div class="template-item" role="listitem" data-template-id="${template.id}">
+                <div class="template-info">
+                    <div class="template-name">${template.name}</div>
+                    <div class="template-tasks" title="${template.tasks.map(task => task.text).join('\n')}">
+                        ${template.tasks.length} ${template.tasks.length === 1 ? 'task' : 'tasks'}: ${template.tasks.map(task => task.text).join(', ')}
+                    </div>
+                </div>
+                <div class="template-actions">
+                    <button type="button" class="btn btn-primary" data-action="apply">Apply</button>
+                    <button type="button" class="btn btn-secondary" data-action="export" aria-label="Export ${template.name}" title="Export">⬇️</button>
+                    <button type="button" class="btn btn-secondary" data-action="delete" aria-label="Delete ${template.name}" title="Delete">×</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // What a task contributes to a template: its content, without status, dates or ids
+    createTemplateTask(task) {
+        return {
+            text: task.text,
+            priority: task.priority || null,
+            tags: (task.tags || []).slice(),
+            project: task.project || null,
+            estimate: task.estimate || null,
+            dueTime: task.dueTime || null,
+            reminder: task.reminder ?? null,
+            subtasks: (task.subtasks || []).map(subtask => subtask.text)
+        };
+    }
+
+    // Saving under an existing name replaces that template; returns the template, or null if the day is empty
+    createTemplate(name, date) {
+        const tasks = this.getTasksForDate(date);
+        if (!name.trim() || tasks.length === 0) return null;
+        
+        const now = new Date().toISOString();
+        const existing = this.findTemplateByName(name);
+        const template = {
+            id: existing ? existing.id : Date.now() + Math.random(),
+            name: name.trim(),
+            tasks: tasks.map(task => this.createTemplateTask(task)),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        
+        if (existing) {
+            this.templates[this.templates.indexOf(existing)] = template;
+        } else {
+            this.templates.push(template);
+        }
+        this.saveTemplates();
+        return template;
+    }
+
+    findTemplateByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.templates.find(template => template.name.toLowerCase() === key) || null;
+    }
+
+    saveDayAsTemplate() {
+        const name = this.elements.templateName.value.trim();
+        const dateKey = this.elements.templateSourceDate.value;
+        if (!name || !dateKey) {
+            this.showMessage('Pick a day and give the template a name', 'warning');
+            return;
+        }
+        if (this.findTemplateByName(name) && !confirm(`Replace the "${name}" template with this day's tasks?`)) {
+            return;
+        }
+        
+        const template = this.createTemplate(name, this.parseDateKey(dateKey));
+        if (!template) {
+            this.showMessage(`There are no tasks on ${this.formatDateDisplay(this.parseDateKey(dateKey))} to save`, 'warning');
+            return;
+        }
+        
+        this.elements.templateName.value = '';
+        this.renderTemplateList();
+        this.showMessage(`Saved "${template.name}" with ${template.tasks.length} tasks`, 'success');
+    }
+
+    // scope: 'day' or 'week' (every day of the week containing date); returns { added, skipped }
+    applyTemplate(templateId, date, scope = 'day', skipDuplicates = true) {
+        const template = this.templates.find(item => item.id === templateId);
+        if (!template) return { added: 0, skipped: 0 };
+        
+        const dates = scope === 'week' ? this.getWeekDates(this.getWeekStartDate(date)) : [date];
+        const textKey = (text) => text.trim().toLowerCase();
+        let skipped = 0;
+        
+        // Work out what to add first, so applying nothing leaves no empty undo step
+        const additions = dates.map(day => {
+            const present = new Set(this.getTasksForDate(day).map(task => textKey(task.text)));
+            return template.tasks.filter(task => {
+                if (skipDuplicates && present.has(textKey(task.text))) {
+                    skipped++;
+                    return false;
+                }
+                return true;
+            });
+        });
+        const added = additions.reduce((sum, tasks) => sum + tasks.length, 0);
+        if (added === 0) return { added, skipped };
+        
+        const command = this.beginCommand(`Apply template "${template.name}"`, dates.map(day => this.formatDateKey(day)));
+        dates.forEach((day, index) => {
+            additions[index].forEach(({ text, ...details }) => this.addTask(day, text, details));
+        });
+        this.commitCommand(command);
+        
+        return { added, skipped };
+    }
+
+    applySelectedTemplate(templateId) {
+        const dateKey = this.elements.templateTargetDate.value;
+        if (!dateKey) {
+            this.showMessage('Pick a day to apply the template to', 'warning');
+            return;
+        }
+        
+        const date = this.parseDateKey(dateKey);
+        const scope = this.elements.templatesModal.querySelector('input[name="templateScope"]:checked').value;
+        const { added, skipped } = this.applyTemplate(templateId, date, scope, this.elements.templateSkipDuplicates.checked);
+        
+        if (added === 0) {
+            this.showMessage(skipped > 0 ? 'Every task in the template is already there' : 'The template has no tasks', 'info');
+            return;
+        }
+        
+        this.closeTemplatesModal();
+        this.navigateToDate(date);
+        this.showUndoableMessage(`Added ${added} ${added === 1 ? 'task' : 'tasks'}${skipped > 0 ? ` (${skipped} already there)` : ''}`, 'success');
+    }
+
+    deleteTemplate(templateId) {
+        const template = this.templates.find(item => item.id === templateId);
+        if (!template || !confirm(`Delete the "${template.name}" template?`)) return;
+        
+        this.templates = this.templates.filter(item => item !== template);
+        this.saveTemplates();
+        this.renderTemplateList();
+        this.showMessage(`Deleted "${template.name}"`, 'info');
+    }
+
+    // Every template when ids is omitted
+    exportTemplates(ids = null) {
+        const templates = ids ? this.templates.filter(template => ids.includes(template.id)) : this.templates;
+        if (templates.length === 0) {
+            this.showMessage('There are no templates to export', 'info');
+            return;
+        }
+        
+        const file = {
+            app: 'AURORA',
+            type: 'templates',
+            version: TEMPLATE_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates
+        };
+        const slug = templates.length === 1 ? templates[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+        const filename = slug ? `aurora-template-${slug}.json` : `aurora-templates-${this.formatDateKey(new Date())}.json`;
+        this.downloadFile(filename, JSON.stringify(file, null, 2), 'application/json');
+        this.showMessage(templates.length === 1 ? `Exported "${templates[0].name}"` : `Exported ${templates.length} templates`, 'success');
+    }
+
+    validateTemplate(template) {
+        if (!template || typeof template.name !== 'string' || !template.name.trim() || !Array.isArray(template.tasks)) {
+            throw new Error('Template file has an invalid template.');
+        }
+        template.tasks.forEach(task => {
+            if (!task || typeof task.text !== 'string' || !task.text.trim()) {
+                throw new Error(`Template "${template.name}" has an invalid task.`);
+            }
+        });
+        return template;
+    }
+
+    // Files come from other people, so task details go through the same normalizers as typed input
+    parseTemplateFile(data) {
+        if (!data || data.app !== 'AURORA' || data.type !== 'templates' || !Array.isArray(data.templates)) {
+            throw new Error('File is not an AURORA template file.');
+        }
+        if (data.version > TEMPLATE_FILE_VERSION) {
+            throw new Error('These templates were made by a newer version of AURORA.');
+        }
+        
+        return data.templates.map(template => this.validateTemplate(template)).map(template => ({
+            name: template.name.trim(),
+            tasks: template.tasks.map(task => ({
+                text: task.text.trim(),
+                priority: this.normalizePriority(task.priority),
+                tags: this.normalizeTags(task.tags),
+                project: this.normalizeProject(task.project),
+                estimate: this.normalizeEstimate(task.estimate),
+                dueTime: this.normalizeDueTime(task.dueTime),
+                reminder: this.normalizeReminder(task.reminder),
+                subtasks: (Array.isArray(task.subtasks) ? task.subtasks : [])
+                    .filter(text => typeof text === 'string' && text.trim())
+                    .map(text => text.trim())
+            }))
+        }));
+    }
+
+    // Templates named like an existing one replace it, so re-importing a teammate's update just works
+    importTemplates(templates) {
+        const now = new Date().toISOString();
+        let added = 0;
+        let updated = 0;
+        
+        templates.forEach(({ name, tasks }) => {
+            const existing = this.findTemplateByName(name);
+            if (existing) {
+                Object.assign(existing, { name, tasks, updatedAt: now });
+                updated++;
+            } else {
+                this.templates.push({ id: Date.now() + Math.random(), name, tasks, createdAt: now, updatedAt: now });
+                added++;
             }
         });
+        
+        this.saveTemplates();
+        return { added, updated };
     }
 
-    openNoteModalForMissedTask(date, taskId, taskItem) {
-        this.currentNoteData = { date, taskId };
-        this.elements.noteModal.setAttribute('aria-hidden', 'false');
-        this.elements.noteModal.style.display = 'flex';
-        this.elements.noteTextarea.value = '';
-        this.elements.noteTextarea.placeholder = "Why wasn't this task completed? Provide details...";
+    async readTemplatesFile(file) {
+        try {
+            const templates = this.parseTemplateFile(JSON.parse(await file.text()));
+            const { added, updated } = this.importTemplates(templates);
+            this.renderTemplateList();
+            this.showMessage(`Imported ${added} new ${added === 1 ? 'template' : 'templates'}${updated > 0 ? `, updated ${updated}` : ''}`, 'success');
+        } catch (error) {
+            console.error('Error reading templates:', error);
+            this.showError(error instanceof SyntaxError ? 'Template file is not valid JSON.' : error.message);
+        }
+    }
+
+    // Day journal methods
+    // e.g. 'Mood 🙂 Good · Energy 4/5'
+    describeJournalEntry(entry) {
+        const mood = MOOD_LEVELS.find(level => level.value === entry.mood);
+        return [
+            mood && `Mood ${mood.icon} ${mood.label}`,
+            entry.energy && `Energy ${entry.energy}/5`
+        ].filter(Boolean).join(' · ') || 'Journal entry';
+    }
+
+    openJournalModal(date) {
+        const entry = this.journal[this.formatDateKey(date)];
+        this.currentJournalData = { date, mood: entry ? entry.mood : null, energy: entry ? entry.energy : null };
+        
+        this.elements.journalDate.textContent = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+        this.elements.journalText.value = entry ? entry.text : '';
+        this.elements.clearJournal.disabled = !entry;
+        this.renderJournalScales();
+        
+        this.elements.journalModal.setAttribute('aria-hidden', 'false');
+        this.elements.journalModal.style.display = 'flex';
         
-        // Set focus to textarea
         setTimeout(() => {
-            this.elements.noteTextarea.focus();
+            this.elements.journalText.focus();
         }, 100);
         
-        // Prevent body scrolling
         document.body.style.overflow = 'hidden';
+    }
+
+    closeJournalModal() {
+        this.elements.journalModal.setAttribute('aria-hidden', 'true');
+        this.elements.journalModal.style.display = 'none';
+        this.currentJournalData = null;
         
-        // Store reference to task item for highlighting
-        this.currentTaskItem = taskItem;
+        document.body.style.overflow = '';
     }
 
-    deleteTask(date, taskId) {
+    renderJournalScales() {
+        const { mood, energy } = this.currentJournalData;
+        this.elements.journalMood.innerHTML = html`
+            <span class="journal-scale-label">Mood</span>
+            ${MOOD_LEVELS.map(level => html`
+                <button type="button" class="journal-option" role="radio" data-value="${level.value}"
+                        aria-checked="${String(level.value === mood)}" aria-label="${level.label}" title="${level.label}">${level.icon}</button>
+            `)}
+        `;
+        this.elements.journalEnergy.innerHTML = html`
+            <span class="journal-scale-label">Energy</span>
+            ${ENERGY_LEVELS.map(level => html`
+                <button type="button" class="journal-option" role="radio" data-value="${level}"
+                        aria-checked="${String(level === energy)}" aria-label="Energy ${level} of 5">${level}</button>
+            `)}
+        `;
+    }
+
+    // An entry with no mood, energy or text is removed rather than stored empty
+    setJournalEntry(date, { mood = null, energy = null, text = '' }) {
         const dateKey = this.formatDateKey(date);
-        const tasks = this.tasks[dateKey];
-        
-        if (!tasks) return false;
-        
-        const taskIndex = tasks.findIndex(task => task.id === taskId);
-        if (taskIndex === -1) return false;
-        
-        const deletedTask = tasks[taskIndex];
-        tasks.splice(taskIndex, 1);
-        
-        // If no tasks left for this date, remove the date entry
-        if (tasks.length === 0) {
-            delete this.tasks[dateKey];
+        if (!mood && !energy && !text.trim()) {
+            delete this.journal[dateKey];
+        } else {
+            this.journal[dateKey] = { mood, energy, text: text.trim(), updatedAt: new Date().toISOString() };
         }
         
-        this.saveTasks();
+        this.saveJournal(dateKey);
+        return this.journal[dateKey] || null;
+    }
+
+    saveJournalEntry() {
+        if (!this.currentJournalData) return;
         
-        // Add activity
-        this.addActivity('deleted', deletedTask.text, date);
+        const { date, mood, energy } = this.currentJournalData;
+        const entry = this.setJournalEntry(date, { mood, energy, text: this.elements.journalText.value });
         
-        return true;
+        this.closeJournalModal();
+        this.refreshDays(date);
+        this.renderAnalytics();
+        this.showMessage(entry ? `Journal saved for ${this.formatDateDisplay(date)}` : 'Journal entry removed', 'success');
     }
 
-    renderYearNavigation() {
-        const months = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
+    clearJournalEntry() {
+        if (!this.currentJournalData || !confirm('Clear this day\'s journal entry?')) return;
         
-        const currentMonth = new Date().getMonth();
-        this.elements.yearNavigation.innerHTML = '';
+        const { date } = this.currentJournalData;
+        this.setJournalEntry(date, {});
         
-        months.forEach((month, index) => {
-            const monthBtn = document.createElement('button');
-            monthBtn.className = `month-btn ${index === currentMonth ? 'active' : ''}`;
-            monthBtn.textContent = month.substring(0, 3);
-            monthBtn.dataset.month = index;
-            monthBtn.setAttribute('aria-label', `Go to ${month}`);
-            monthBtn.setAttribute('type', 'button');
-            
-            monthBtn.addEventListener('click', () => {
-                this.navigateToMonth(index);
-                document.querySelectorAll('.month-btn').forEach(btn => {
-                    btn.classList.remove('active');
-                });
-                monthBtn.classList.add('active');
-            });
-            
-            this.elements.yearNavigation.appendChild(monthBtn);
-        });
+        this.closeJournalModal();
+        this.refreshDays(date);
+        this.renderAnalytics();
+        this.showMessage('Journal entry removed', 'info');
     }
 
-    updateWeekDisplay() {
-        const weekNumber = this.getWeekNumber(this.currentWeekStart);
-        const weekEnd = new Date(this.currentWeekStart);
-        weekEnd.setDate(weekEnd.getDate() + 6);
-        
-        const year = this.currentWeekStart.getFullYear();
-        this.elements.weekNumber.textContent = `Week ${weekNumber}, ${year}`;
-        this.elements.weekRange.textContent = 
-            `${this.formatDateDisplay(this.currentWeekStart)} - ${this.formatDateDisplay(weekEnd)}`;
-        this.elements.weekRangeDisplay.textContent = 
-            this.formatWeekRange(this.currentWeekStart, weekEnd);
+    // message: { dateKey, entry } for one day, or { journal } after a bulk change
+    applySyncedJournal(message) {
+        if (message.journal) {
+            this.journal = message.journal;
+            this.renderCalendar();
+        } else {
+            if (message.entry) {
+                this.journal[message.dateKey] = message.entry;
+            } else {
+                delete this.journal[message.dateKey];
+            }
+            const date = this.parseDateKey(message.dateKey);
+            if (this.isDateVisible(date)) this.refreshDays(date);
+        }
+        this.renderAnalytics();
     }
 
-    updateWeekProgress() {
-        raf(() => {
-            let totalTasks = 0;
-            let completedTasks = 0;
-            
-            // Get all tasks for the current week
-            const weekDates = this.getWeekDates(this.currentWeekStart);
-            weekDates.forEach(date => {
-                const tasks = this.getTasksForDate(date);
-                totalTasks += tasks.length;
-                completedTasks += tasks.filter(t => t.status === 'completed').length;
-            });
-            
-            const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-            
-            // Update progress bar
-            this.elements.weekProgressPercent.textContent = `${progress}%`;
-            this.elements.weekProgressFill.style.width = `${progress}%`;
-            
-            // Animate progress bar
-            this.elements.weekProgressFill.style.transition = 'width 1s cubic-bezier(0.34, 1.56, 0.64, 1)';
-        });
+    // Weekly review methods
+    // Reviews are keyed by the ISO week the header shows, e.g. '2026-W07'
+    getReviewWeekKey(weekStart) {
+        const { week, year } = this.getDisplayWeek(weekStart);
+        return `${year}-W${String(week).padStart(2, '0')}`;
     }
 
-    updateStatistics() {
-        raf(() => {
-            let completed = 0;
-            let missed = 0;
-            let pending = 0;
-            let total = 0;
-            
-            // Count all tasks
-            Object.values(this.tasks).forEach(dateTasks => {
-                dateTasks.forEach(task => {
-                    total++;
-                    if (task.status === 'completed') completed++;
-                    else if (task.status === 'missed') missed++;
-                    else pending++;
-                });
-            });
-            
-            // Animate counters
-            this.animateCounter(this.elements.completedCount, completed);
-            this.animateCounter(this.elements.missedCount, missed);
-            this.animateCounter(this.elements.pendingCount, pending);
-            this.animateCounter(this.elements.totalCount, total);
-        });
+    getWeeklyReview(weekStart) {
+        const id = this.getReviewWeekKey(weekStart);
+        return this.weeklyReviews.find(review => review.id === id) || null;
     }
 
-    updateRecentActivity() {
-        raf(() => {
-            this.elements.activityList.innerHTML = '';
-            
-            if (this.activities.length === 0) {
-                this.elements.activityList.innerHTML = `
-                    <div class="empty-state" aria-label="No recent activity">
-                        <div class="empty-icon">📊</div>
-                        <p>No activity yet</p>
-                    </div>
-                `;
-                return;
-            }
+    // Completion uses the same weighting as the progress bar; best/worst only count days with tasks
+    summarizeWeek(weekStart) {
+        const mode = this.settings.progressWeight;
+        const summary = { total: 0, completed: 0, missed: [], unfinished: [], carried: 0, rate: 0, bestDay: null, worstDay: null };
+        let totalWeight = 0;
+        let completedWeight = 0;
+        const days = [];
+        
+        this.getWeekDates(weekStart).forEach(date => {
+            const tasks = this.getTasksForDate(date);
+            if (tasks.length === 0) return;
             
-            // Show last 5 activities
-            this.activities.slice(0, 5).forEach(activity => {
-                const activityItem = this.createActivityItem(activity);
-                this.elements.activityList.appendChild(activityItem);
+            let dayTotal = 0;
+            let dayCompleted = 0;
+            tasks.forEach(task => {
+                const weight = this.getTaskWeight(task, mode);
+                dayTotal += weight;
+                dayCompleted += weight * this.getTaskCompletion(task);
+                
+                if (task.status === 'completed') summary.completed++;
+                if (task.status === 'missed') summary.missed.push({ date, task });
+                // Repeating tasks already have next week's occurrence, so only one-offs can move
+                if (task.status === 'pending' && !task.seriesId) summary.unfinished.push({ date, task });
             });
+            
+            summary.total += tasks.length;
+            totalWeight += dayTotal;
+            completedWeight += dayCompleted;
+            days.push({ date, rate: Math.round((dayCompleted / dayTotal) * 100) });
         });
-    }
-
-    createActivityItem(activity) {
-        const item = document.createElement('article');
-        item.className = `activity-item ${activity.type}`;
-        item.setAttribute('aria-label', `${activity.type} task: ${activity.task}`);
-        
-        const icon = activity.type === 'completed' ? '✅' : 
-                    activity.type === 'missed' ? '❌' : 
-                    activity.type === 'deleted' ? '🗑️' : '➕';
-        
-        const actionText = activity.type === 'completed' ? 'Completed' :
-                         activity.type === 'missed' ? 'Missed' :
-                         activity.type === 'deleted' ? 'Deleted' : 'Added';
         
-        const time = new Date(activity.date).toLocaleTimeString([], { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+        // Read back from the tasks themselves, so undoing a move takes it out of the count
+        const startKey = this.formatDateKey(weekStart);
+        const endKey = this.formatDateKey(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6));
+        summary.carried = Object.keys(this.tasks)
+            .filter(dateKey => dateKey > endKey)
+            .reduce((count, dateKey) => count + this.tasks[dateKey]
+                .filter(task => (task.movedByReview || []).some(key => key >= startKey && key <= endKey)).length, 0);
         
-        item.innerHTML = `
-            <div class="activity-icon" aria-hidden="true">
-                ${icon}
-            </div>
-            <div class="activity-content">
-                <div class="activity-text">
-                    <strong>${actionText}</strong>: ${activity.task}
-                </div>
-                <div class="activity-time">${time}</div>
-            </div>
-        `;
+        summary.rate = totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0;
+        if (days.length > 1) {
+            const ranked = days.slice().sort((a, b) => b.rate - a.rate);
+            if (ranked[0].rate !== ranked[ranked.length - 1].rate) {
+                summary.bestDay = ranked[0];
+                summary.worstDay = ranked[ranked.length - 1];
+            }
+        }
         
-        return item;
+        return summary;
     }
 
-    // Modal methods
-    openNoteModal(taskData) {
-        this.currentNoteData = taskData;
-        this.elements.noteModal.setAttribute('aria-hidden', 'false');
-        this.elements.noteModal.style.display = 'flex';
-        this.elements.noteTextarea.value = '';
+    openWeeklyReviewModal(date = this.focusDate) {
+        this.reviewWeekStart = this.getWeekStartDate(date);
+        this.renderWeeklyReview();
+        
+        this.elements.weeklyReviewModal.setAttribute('aria-hidden', 'false');
+        this.elements.weeklyReviewModal.style.display = 'flex';
         
-        // Set focus to textarea
         setTimeout(() => {
-            this.elements.noteTextarea.focus();
+            this.elements.weeklyReflection.focus();
         }, 100);
         
-        // Prevent body scrolling
         document.body.style.overflow = 'hidden';
     }
 
-    closeNoteModal() {
-        this.elements.noteModal.setAttribute('aria-hidden', 'true');
-        this.elements.noteModal.style.display = 'none';
-        this.currentNoteData = null;
-        this.currentTaskItem = null;
+    closeWeeklyReviewModal() {
+        this.elements.weeklyReviewModal.setAttribute('aria-hidden', 'true');
+        this.elements.weeklyReviewModal.style.display = 'none';
         
-        // Restore body scrolling
         document.body.style.overflow = '';
     }
 
-    saveNote() {
-        const note = this.elements.noteTextarea.value.trim();
+    shiftReviewWeek(weeks) {
+        const start = this.reviewWeekStart;
+        this.reviewWeekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + weeks * 7);
+        this.renderWeeklyReview();
+    }
+
+    renderWeeklyReview() {
+        const weekStart = this.reviewWeekStart;
+        const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+        const lastWeek = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() - 7);
+        const { week, year } = this.getDisplayWeek(weekStart);
+        const review = this.getWeeklyReview(weekStart);
+        const previous = this.getWeeklyReview(lastWeek);
+        const summary = this.summarizeWeek(weekStart);
         
-        if (!note) {
-            this.showMessage('Please provide a reason for missing this task.', 'warning');
+        this.elements.weeklyReviewLabel.textContent = `Week ${week}, ${year}${review ? ' ✓' : ''}`;
+        this.elements.weeklyReviewRange.textContent = this.formatWeekRange(weekStart, weekEnd);
+        this.renderReviewHistory(review);
+        
+        const formatDay = (day) => `${day.date.toLocaleDateString('en-US', { weekday: 'short' })} · ${day.rate}%`;
+        const stats = [
+            [`${summary.rate}%`, 'Completion'],
+            [`${summary.completed}/${summary.total}`, 'Tasks completed'],
+            [summary.missed.length, 'Missed'],
+            summary.bestDay && [formatDay(summary.bestDay), 'Best day'],
+            summary.worstDay && [formatDay(summary.worstDay), 'Toughest day'],
+            summary.carried > 0 && [summary.carried, 'Moved to later weeks']
+        ];
+        this.elements.weeklyReviewStats.innerHTML = stats.filter(Boolean).map(([value, label]) => html`
+            <div class="weekly-stat" role="listitem">
+                <div class="weekly-stat-value">${value}</div>
+                <div class="weekly-stat-label">${label}</div>
+            </div>
+        `).join('');
+        
+        this.elements.weeklyPreviousGoals.innerHTML = previous && previous.goals.length > 0 ? html`
+            <strong>Goals you set last week</strong>
+            <ul>${previous.goals.map(goal => html`<li>${goal}</li>`)}</ul>
+        ` : '';
+        
+        this.elements.weeklyReviewMissed.innerHTML = summary.missed.length === 0 ?
+            html`<p class="review-note"><em>Nothing missed this week</em></p>` :
+            summary.missed.map(({ date, task }) => html`
+                <div class="review-item" role="listitem">
+                    <div class="review-item-header">
+                        <span class="review-date">${this.formatDateDisplay(date)}</span>
+                        <span class="review-task">${task.text}</span>
+                    </div>
+                    <p class="review-note">${task.missedNote || html`<em>No note</em>`}</p>
+                </div>
+            `).join('');
+        
+        this.elements.weeklyReflection.value = review ? review.reflection : '';
+        this.elements.weeklyGoals.value = review ? review.goals.join('\n') : '';
+        this.renderCarryList(summary.unfinished, weekEnd);
+    }
+
+    renderReviewHistory(current) {
+        const reviews = this.weeklyReviews.slice().sort((a, b) => b.id.localeCompare(a.id));
+        this.elements.weeklyReviewHistory.innerHTML = html`
+            <option value="">${reviews.length > 0 ? `Saved reviews (${reviews.length})` : 'No saved reviews'}</option>
+            ${reviews.map(review => {
+                const [year, week] = review.id.split('-W');
+                return html`<option value="${review.weekStart}">Week ${Number(week)}, ${year}</option>`;
+            })}
+        `;
+        this.elements.weeklyReviewHistory.value = current ? current.weekStart : '';
+        this.elements.weeklyReviewHistory.disabled = reviews.length === 0;
+    }
+
+    // Each unfinished task defaults to the same weekday next week
+    renderCarryList(unfinished, weekEnd) {
+        this.elements.moveUnfinishedBtn.disabled = unfinished.length === 0;
+        if (unfinished.length === 0) {
+            this.elements.weeklyCarryList.innerHTML = html`<p class="review-note"><em>No unfinished tasks</em></p>`;
             return;
         }
         
-        if (this.currentNoteData) {
-            const { date, taskId } = this.currentNoteData;
-            const success = this.updateTaskStatus(date, taskId, 'missed', note);
-            
-            if (success) {
-                this.renderWeekView();
-                this.closeNoteModal();
-                this.showMessage('Task marked as missed with note', 'info');
-            }
-        }
+        const nextWeek = this.getWeekDates(new Date(weekEnd.getFullYear(), weekEnd.getMonth(), weekEnd.getDate() + 1));
+        this.elements.weeklyCarryList.innerHTML = unfinished.map(({ date, task }, index) => {
+            const dateKey = this.formatDateKey(date);
+            const target = this.formatDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7));
+            return html`
+                <div class="weekly-carry-item" role="listitem" data-date="${dateKey}" data-task-id="${task.id}">
+                    <label>
+                        <input type="checkbox" checked>
+                        <span class="review-date">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                        <span class="review-task">${task.text}</span>
+                    </label>
+                    <select class="form-input" aria-label="Move ${task.text} to">
+                        ${nextWeek.map(day => {
+                            const key = this.formatDateKey(day);
+                            return html`<option value="${key}"${key === target ? html` selected` : ''}>${this.formatDateDisplay(day)}</option>`;
+                        })}
+                    </select>
+                </div>
+            `;
+        }).join('');
     }
 
-    viewNote(taskId, date) {
-        const tasks = this.getTasksForDate(date);
-        const task = tasks.find(t => t.id === taskId);
+    // moves: [{ fromKey, taskId, toKey }]; one undo step for the batch
+    moveTasksToNextWeek(moves) {
+        if (moves.length === 0) return 0;
         
-        if (task && task.missedNote) {
-            this.openNoteModal({ date, taskId });
-            this.elements.noteTextarea.value = task.missedNote;
-            this.elements.noteTextarea.readOnly = true;
-            this.elements.saveNote.style.display = 'none';
-            
-            // Change modal title for viewing
-            document.getElementById('modalTitle').textContent = 'Note for Missed Task';
-            document.getElementById('modalDescription').textContent = 'This note was added when the task was marked as missed:';
+        const keys = moves.flatMap(move => [move.fromKey, move.toKey]);
+        const command = this.beginCommand('Move to next week', keys);
+        let count = 0;
+        
+        moves.forEach(({ fromKey, taskId, toKey }) => {
+            const task = this.findTask(this.parseDateKey(fromKey), taskId);
+            if (!task) return;
             
-            setTimeout(() => {
-                this.elements.noteTextarea.readOnly = false;
-                this.elements.saveNote.style.display = '';
-                this.closeNoteModal();
-                
-                // Reset modal title
-                document.getElementById('modalTitle').textContent = 'Reason for Missing Task';
-                document.getElementById('modalDescription').textContent = 'Please provide a detailed explanation for why this task was not completed. This helps with accountability and future planning.';
-            }, 3000);
-        }
+            task.carriedFrom = task.carriedFrom || fromKey;
+            // carriedFrom keeps the first day (rollover sets it too), so the review records its own moves
+            task.movedByReview = [...(task.movedByReview || []), fromKey];
+            if (this.moveTask(this.parseDateKey(fromKey), taskId, this.parseDateKey(toKey))) count++;
+        });
+        
+        this.commitCommand(command);
+        return count;
     }
 
-    // Navigation methods
-    navigateWeek(direction) {
-        const newDate = new Date(this.currentWeekStart);
-        newDate.setDate(newDate.getDate() + (direction * 7));
-        this.currentWeekStart = newDate;
-        this.renderWeekView();
-        this.updateWeekDisplay();
+    moveSelectedToNextWeek() {
+        const moves = [...this.elements.weeklyCarryList.querySelectorAll('.weekly-carry-item')]
+            .filter(item => item.querySelector('input[type="checkbox"]').checked)
+            .map(item => ({
+                fromKey: item.dataset.date,
+                taskId: parseFloat(item.dataset.taskId),
+                toKey: item.querySelector('select').value
+            }));
+        if (moves.length === 0) {
+            this.showMessage('Select the tasks to move first', 'warning');
+            return;
+        }
+        
+        const count = this.moveTasksToNextWeek(moves);
+        
+        this.renderCalendar();
         this.updateWeekProgress();
+        this.refreshWeeklyReview();
+        this.showUndoableMessage(`Moved ${count} ${count === 1 ? 'task' : 'tasks'} to next week`, 'success');
+    }
+
+    // Re-render after the tasks change, keeping whatever has been typed but not saved
+    refreshWeeklyReview() {
+        const reflection = this.elements.weeklyReflection.value;
+        const goals = this.elements.weeklyGoals.value;
+        this.renderWeeklyReview();
+        this.elements.weeklyReflection.value = reflection;
+        this.elements.weeklyGoals.value = goals;
+    }
+
+    readWeeklyReviewForm() {
+        return {
+            reflection: this.elements.weeklyReflection.value.trim(),
+            goals: this.elements.weeklyGoals.value.split('\n').map(goal => goal.trim()).filter(Boolean)
+        };
+    }
+
+    // Creates or updates the week's review
+    storeWeeklyReview(weekStart, { reflection, goals }) {
+        const now = new Date().toISOString();
+        const id = this.getReviewWeekKey(weekStart);
+        let review = this.weeklyReviews.find(item => item.id === id);
         
-        // Clear cache for old week
-        const oldCacheKey = this.formatDateKey(new Date(this.currentWeekStart));
-        this.weekCache.delete(oldCacheKey);
+        if (!review) {
+            review = { id, weekStart: this.formatDateKey(weekStart), reflection: '', goals: [], createdAt: now };
+            this.weeklyReviews.push(review);
+        }
+        review.reflection = reflection;
+        review.goals = goals;
+        review.updatedAt = now;
         
-        this.showMessage(`Navigated to ${direction > 0 ? 'next' : 'previous'} week`, 'info');
+        this.saveWeeklyReviews();
+        this.updatePeriodDisplay();
+        return review;
     }
 
-    goToToday() {
-        this.currentDate = new Date();
-        this.currentWeekStart = this.getWeekStartDate(this.currentDate);
-        this.renderWeekView();
-        this.updateWeekDisplay();
-        this.updateWeekProgress();
-        this.showMessage('Navigated to today', 'success');
+    saveWeeklyReview() {
+        const form = this.readWeeklyReviewForm();
+        if (!form.reflection && form.goals.length === 0 && !this.getWeeklyReview(this.reviewWeekStart)) {
+            this.showMessage('Write a reflection or a goal before saving', 'warning');
+            return;
+        }
+        
+        const review = this.storeWeeklyReview(this.reviewWeekStart, form);
+        this.renderWeeklyReview();
+        this.showMessage(`Saved the review for week ${Number(review.id.split('-W')[1])}`, 'success');
     }
 
-    navigateToMonth(monthIndex) {
-        const currentYear = new Date().getFullYear();
-        const targetDate = new Date(currentYear, monthIndex, 15);
-        this.currentWeekStart = this.getWeekStartDate(targetDate);
-        this.renderWeekView();
-        this.updateWeekDisplay();
-        this.updateWeekProgress();
-        this.showMessage(`Navigated to ${new Date(currentYear, monthIndex).toLocaleString('default', { month: 'long' })}`, 'info');
+    // Quick add parsing methods
+    parseQuickAdd(input, defaultDate) {
+        return this.quickAddParser.parse(input, { today: new Date(), defaultDate });
     }
 
-    addQuickTask() {
-        const taskText = this.elements.quickTaskInput.value.trim();
-        if (!taskText) return;
+    // Add a task (or repeating series) from a typed phrase; returns the parse with its final date
+    addParsedTask(input, defaultDate) {
+        const parsed = this.parseQuickAdd(input, defaultDate);
+        const date = parsed.date || defaultDate;
+        const details = { priority: parsed.priority, tags: parsed.tags, project: parsed.project, estimate: parsed.estimate };
         
-        const today = new Date();
-        this.addTask(today, taskText);
-        this.elements.quickTaskInput.value = '';
+        if (parsed.recurrence) {
+            this.createRecurringTask(date, parsed.text, parsed.recurrence, details);
+        } else {
+            this.addTask(date, parsed.text, details);
+        }
         
-        if (this.isDateInCurrentWeek(today)) {
-            this.renderWeekView();
+        return { ...parsed, date };
+    }
+
+    describeAddedTask(added, defaultDate) {
+        if (added.recurrence) return `Task repeats: ${this.describeRecurrence(added.recurrence)}`;
+        if (this.isSameDay(added.date, defaultDate)) return 'Task added successfully';
+        return `Task added for ${this.formatDateDisplay(added.date)}`;
+    }
+
+    // Show what a phrase will turn into before it's added
+    renderQuickAddPreview(container, input, defaultDate) {
+        const parsed = input.trim() ? this.parseQuickAdd(input, defaultDate) : null;
+        const chips = [];
+        
+        if (parsed) {
+            if (parsed.date) chips.push(html`<span class="task-chip"><span aria-hidden="true">📅</span> ${this.formatDateDisplay(parsed.date)}</span>`);
+            if (parsed.recurrence) chips.push(html`<span class="task-chip"><span aria-hidden="true">🔁</span> ${this.describeRecurrence(parsed.recurrence)}</span>`);
+            if (parsed.priority) chips.push(html`<span class="task-chip priority-${parsed.priority}">P${parsed.priority}</span>`);
+            if (parsed.estimate) chips.push(html`<span class="task-chip estimate"><span aria-hidden="true">⏳</span> ${this.formatDuration(parsed.estimate)}</span>`);
+            if (parsed.project) chips.push(html`<span class="task-chip project"><span aria-hidden="true">📁</span> ${parsed.project}</span>`);
+            parsed.tags.forEach(tag => chips.push(html`<span class="task-chip tag">#${tag}</span>`));
         }
         
-        this.showMessage('Task added successfully', 'success');
+        // Plain text needs no preview
+        container.innerHTML = chips.length > 0 ? 
+            html`<span class="quick-add-preview-text">${parsed.text}</span>${chips}` : '';
     }
 
     // Utility methods
@@ -936,7 +6125,7 @@ createTaskItemHTML(task, date) {
         });
     }
 
-    showMessage(message, type = 'info') {
+    showMessage(message, type = 'info', action = null) {
         // Remove existing toasts
         document.querySelectorAll('.toast').forEach(toast => toast.remove());
         
@@ -947,13 +6136,32 @@ createTaskItemHTML(task, date) {
         toast.setAttribute('role', 'alert');
         toast.setAttribute('aria-live', 'polite');
         
+        // Optional action button, e.g. { label: 'Undo', onClick }; persistent ones stay until replaced
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.type = 'button';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+        
         document.body.appendChild(toast);
         
-        // Remove after 3 seconds
+        if (action && action.persistent) return;
+        
+        // Remove after 3 seconds (longer when there's something to click)
         setTimeout(() => {
             toast.classList.add('fade-out');
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
+    }
+
+    isTypingTarget(element) {
+        return element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
     }
 
     showError(message) {
@@ -982,12 +6190,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const tracker = new AuroraTaskTracker();
         window.auroraTracker = tracker; // Expose for debugging
         
-        // Update page title with current time
-        setInterval(() => {
-            const now = new Date();
-            const timeString = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            document.title = `AURORA | ${timeString} - Daily Task Tracker`;
-        }, 60000);
+        // Update page title with current time (a running focus session updates it every second)
+        setInterval(() => tracker.updateDocumentTitle(), 60000);
         
     } catch (error) {
         console.error('Critical error initializing AURORA:', error);
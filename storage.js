@@ -0,0 +1,308 @@
+/**
+ * AURORA Task Tracker - Storage Layer
+ * Persists tasks as one record per day so a change only rewrites the days it
+ * touched. IndexedDB is used in the browser; an in-memory store stands in when
+ * it isn't available (private windows, headless tests).
+ *
+ * Every store exposes the same async interface:
+ *   open(), loadAll(), putDay(dateKey, tasks), replaceDays(tasksByDate),
+ *   addActivity(activity), putActivities(activities), putMeta(key, value), flush()
+ * Writes are queued and committed together, so a burst of changes in the same
+ * tick becomes a single transaction. Failed writes are reported to onError.
+ */
+
+// localStorage keys used before the IndexedDB move
+const LEGACY_STORAGE_KEYS = {
+    tasks: 'auroraTasks',
+    activities: 'auroraActivities',
+    recurringTasks: 'auroraRecurring',
+    settings: 'auroraSettings'
+};
+
+class AuroraMemoryStorage {
+    constructor() {
+        this.days = new Map();
+        this.activities = [];
+        this.meta = new Map();
+        this.onError = null;
+        this.persistent = false;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async loadAll() {
+        const tasks = {};
+        this.days.forEach((dayTasks, dateKey) => {
+            tasks[dateKey] = this.clone(dayTasks);
+        });
+
+        return {
+            tasks,
+            activities: this.clone(this.activities),
+            recurringTasks: this.clone(this.meta.get('recurringTasks') || []),
+            templates: this.clone(this.meta.get('templates') || []),
+            weeklyReviews: this.clone(this.meta.get('weeklyReviews') || []),
+            journal: this.clone(this.meta.get('journal') || {}),
+            settings: this.clone(this.meta.get('settings') || {})
+        };
+    }
+
+    putDay(dateKey, tasks) {
+        if (tasks && tasks.length > 0) {
+            this.days.set(dateKey, this.clone(tasks));
+        } else {
+            this.days.delete(dateKey);
+        }
+    }
+
+    replaceDays(tasksByDate) {
+        this.days.clear();
+        Object.entries(tasksByDate).forEach(([dateKey, tasks]) => this.putDay(dateKey, tasks));
+    }
+
+    addActivity(activity) {
+        this.activities.unshift(this.clone(activity));
+    }
+
+    putActivities(activities) {
+        this.activities = this.clone(activities);
+    }
+
+    putMeta(key, value) {
+        this.meta.set(key, this.clone(value));
+    }
+
+    async flush() {}
+
+    // Mimic IndexedDB's structured clone so callers can't share references
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+class AuroraIndexedDBStorage {
+    constructor(dbName = 'aurora') {
+        this.dbName = dbName;
+        this.db = null;
+        this.dayKeys = new Set();
+        this.pending = { days: new Map(), meta: new Map(), activities: [], replaceActivities: null };
+        this.flushPromise = null;
+        this.onError = null;
+        this.persistent = true;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('days', { keyPath: 'dateKey' });
+                db.createObjectStore('activities', { autoIncrement: true });
+                db.createObjectStore('meta', { keyPath: 'key' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database is blocked by another tab.'));
+        });
+    }
+
+    async loadAll() {
+        await this.migrateFromLocalStorage();
+
+        const tx = this.db.transaction(['days', 'activities', 'meta'], 'readonly');
+        const [days, activities, meta] = await Promise.all([
+            this.request(tx.objectStore('days').getAll()),
+            this.request(tx.objectStore('activities').getAll()),
+            this.request(tx.objectStore('meta').getAll())
+        ]);
+
+        const tasks = {};
+        days.forEach(day => {
+            tasks[day.dateKey] = day.tasks;
+            this.dayKeys.add(day.dateKey);
+        });
+
+        const metaValues = {};
+        meta.forEach(entry => {
+            metaValues[entry.key] = entry.value;
+        });
+
+        return {
+            tasks,
+            // Stored oldest first; the app keeps newest first
+            activities: activities.reverse(),
+            recurringTasks: metaValues.recurringTasks || [],
+            templates: metaValues.templates || [],
+            weeklyReviews: metaValues.weeklyReviews || [],
+            journal: metaValues.journal || {},
+            settings: metaValues.settings || {}
+        };
+    }
+
+    // One-time copy of the old localStorage data into IndexedDB
+    async migrateFromLocalStorage() {
+        const read = (key, fallback) => {
+            try {
+                const json = localStorage.getItem(key);
+                return json ? JSON.parse(json) : fallback;
+            } catch (error) {
+                console.error(`Error reading ${key} for migration:`, error);
+                return fallback;
+            }
+        };
+
+        const tasks = read(LEGACY_STORAGE_KEYS.tasks, {});
+        const activities = read(LEGACY_STORAGE_KEYS.activities, []);
+        const recurringTasks = read(LEGACY_STORAGE_KEYS.recurringTasks, []);
+        const settings = read(LEGACY_STORAGE_KEYS.settings, {});
+
+        // Check the flag inside the write transaction so two tabs can't both migrate
+        const tx = this.db.transaction(['days', 'activities', 'meta'], 'readwrite');
+        const daysStore = tx.objectStore('days');
+        const activitiesStore = tx.objectStore('activities');
+        const metaStore = tx.objectStore('meta');
+        let migrated = false;
+
+        metaStore.get('migratedFromLocalStorage').onsuccess = (event) => {
+            if (event.target.result) return;
+            migrated = true;
+
+            Object.entries(tasks).forEach(([dateKey, dayTasks]) => {
+                if (Array.isArray(dayTasks) && dayTasks.length > 0) {
+                    daysStore.put({ dateKey, tasks: dayTasks });
+                }
+            });
+            activities.slice().reverse().forEach(activity => activitiesStore.add(activity));
+            metaStore.put({ key: 'recurringTasks', value: recurringTasks });
+            metaStore.put({ key: 'settings', value: settings });
+            metaStore.put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+        };
+
+        await this.complete(tx);
+        if (!migrated) return;
+
+        // Only clear the old keys once the copy is safely committed
+        Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+
+    putDay(dateKey, tasks) {
+        this.pending.days.set(dateKey, tasks && tasks.length > 0 ? tasks : null);
+        this.scheduleFlush();
+    }
+
+    replaceDays(tasksByDate) {
+        this.dayKeys.forEach(dateKey => {
+            if (!tasksByDate[dateKey]) this.pending.days.set(dateKey, null);
+        });
+        Object.entries(tasksByDate).forEach(([dateKey, tasks]) => {
+            this.pending.days.set(dateKey, tasks && tasks.length > 0 ? tasks : null);
+        });
+        this.scheduleFlush();
+    }
+
+    addActivity(activity) {
+        this.pending.activities.push(activity);
+        this.scheduleFlush();
+    }
+
+    putActivities(activities) {
+        this.pending.replaceActivities = activities;
+        this.pending.activities = [];
+        this.scheduleFlush();
+    }
+
+    putMeta(key, value) {
+        this.pending.meta.set(key, value);
+        this.scheduleFlush();
+    }
+
+    // Batch everything queued in the current tick into one transaction
+    scheduleFlush() {
+        if (this.flushPromise) return;
+        this.flushPromise = Promise.resolve().then(() => this.writePending());
+    }
+
+    async flush() {
+        while (this.flushPromise) {
+            await this.flushPromise;
+        }
+    }
+
+    async writePending() {
+        const { days, meta, activities, replaceActivities } = this.pending;
+        this.pending = { days: new Map(), meta: new Map(), activities: [], replaceActivities: null };
+
+        try {
+            const tx = this.db.transaction(['days', 'activities', 'meta'], 'readwrite');
+            const daysStore = tx.objectStore('days');
+            const activitiesStore = tx.objectStore('activities');
+            const metaStore = tx.objectStore('meta');
+
+            days.forEach((tasks, dateKey) => {
+                if (tasks) {
+                    daysStore.put({ dateKey, tasks });
+                    this.dayKeys.add(dateKey);
+                } else {
+                    daysStore.delete(dateKey);
+                    this.dayKeys.delete(dateKey);
+                }
+            });
+
+            if (replaceActivities) {
+                activitiesStore.clear();
+                replaceActivities.slice().reverse().forEach(activity => activitiesStore.add(activity));
+            }
+            activities.forEach(activity => activitiesStore.add(activity));
+
+            meta.forEach((value, key) => metaStore.put({ key, value }));
+
+            await this.complete(tx);
+        } catch (error) {
+            console.error('Error writing to IndexedDB:', error);
+            if (this.onError) this.onError(error);
+        } finally {
+            this.flushPromise = null;
+
+            // Anything queued while this transaction was running goes next
+            const hasMore = this.pending.days.size > 0 || this.pending.meta.size > 0 ||
+                            this.pending.activities.length > 0 || this.pending.replaceActivities;
+            if (hasMore) this.scheduleFlush();
+        }
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Pick IndexedDB when it works, otherwise fall back to memory
+async function openAuroraStorage() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await new AuroraIndexedDBStorage().open();
+        } catch (error) {
+            console.error('IndexedDB unavailable, using in-memory storage:', error);
+        }
+    }
+
+    return new AuroraMemoryStorage().open();
+}
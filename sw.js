@@ -0,0 +1,160 @@
+/**
+ * AURORA Task Tracker - Service Worker
+ * Serves the app shell from a versioned cache so AURORA loads and installs
+ * without a network, and makes a best effort at task reminders when no tab is open.
+ *
+ * Deploying: bump APP_VERSION whenever a shell file changes. Open tabs then
+ * see an "update available" message; the new worker waits until the page
+ * asks it to take over, so a tab never mixes files from two versions.
+ *
+ * Reminders: the page posts the reminders due in the next few days whenever
+ * tasks change; they are kept in Cache Storage and shown through Notification
+ * Triggers where the browser supports them, or caught up on periodic
+ * background sync otherwise. Notification Triggers never shipped outside an
+ * experiment, and periodic sync only runs for an installed app in Chromium
+ * browsers, at an interval the browser picks (often hours). So with no tab
+ * open a reminder can arrive late or not at all; an open tab shows it on time.
+ *
+ * Messages from the page:
+ *   { type: 'schedule-reminders', reminders: [{ tag, title, body, date, taskId, at }] }
+ *   { type: 'skip-waiting' } to activate an installed update
+ * Messages to the page:
+ *   { type: 'open-task', date, taskId } when a notification is clicked
+ */
+
+const APP_VERSION = '1.0.0';
+const SHELL_CACHE = `aurora-shell-${APP_VERSION}`;
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'storage.js',
+    'quick-add-parser.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+const REMINDER_CACHE = 'aurora-reminders';
+const SCHEDULE_KEY = 'reminder-schedule.json';
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache =>
+        cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('aurora-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Cache first for the shell; anything else same-origin goes to the network
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Deep links (#/2026-10-19) and query strings all load the same page
+        event.respondWith(caches.match('index.html', { cacheName: SHELL_CACHE })
+            .then(response => response || fetch(request)));
+        return;
+    }
+
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })
+        .then(response => response || fetch(request)));
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+
+    if (event.data.type === 'schedule-reminders') {
+        event.waitUntil(scheduleReminders(event.data.reminders));
+    } else if (event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'aurora-reminders') {
+        event.waitUntil(showDueReminders());
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(openTask(event.notification.data || {}));
+});
+
+async function readSchedule() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(SCHEDULE_KEY);
+    return response ? response.json() : [];
+}
+
+async function writeSchedule(reminders) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(SCHEDULE_KEY, new Response(JSON.stringify(reminders), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+function showReminder(reminder, options = {}) {
+    return self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.tag,
+        data: { date: reminder.date, taskId: reminder.taskId },
+        ...options
+    });
+}
+
+// Replaces the stored schedule, and any triggers set from the previous one
+async function scheduleReminders(reminders) {
+    await writeSchedule(reminders.map(reminder => ({ ...reminder, shown: false })));
+
+    if (!('showTrigger' in Notification.prototype)) return;
+
+    const scheduled = await self.registration.getNotifications({ includeTriggered: false });
+    scheduled.forEach(notification => notification.close());
+    await Promise.all(reminders.map(reminder =>
+        showReminder(reminder, { showTrigger: new TimestampTrigger(reminder.at) })
+    ));
+}
+
+// Without triggers, show what fell due since the last sync (skipping anything over a day late)
+async function showDueReminders() {
+    if ('showTrigger' in Notification.prototype) return;
+
+    const now = Date.now();
+    const schedule = await readSchedule();
+    const due = schedule.filter(reminder => !reminder.shown && reminder.at <= now);
+    if (due.length === 0) return;
+
+    await Promise.all(due
+        .filter(reminder => now - reminder.at < 24 * 60 * 60 * 1000)
+        .map(reminder => showReminder(reminder)));
+    due.forEach(reminder => {
+        reminder.shown = true;
+    });
+    await writeSchedule(schedule);
+}
+
+// Focus an open tab on the task, or open one at its day
+async function openTask({ date, taskId }) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        const client = windows[0];
+        await client.focus();
+        client.postMessage({ type: 'open-task', date, taskId });
+        return;
+    }
+
+    await self.clients.openWindow(date ? `./#/${date}` : './');
+}
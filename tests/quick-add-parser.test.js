@@ -0,0 +1,122 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const AuroraQuickAddParser = require('../quick-add-parser.js');
+
+// Monday 19 October 2026
+const today = new Date(2026, 9, 19);
+
+function parse(input, locale = 'en-US', weekStart = 1) {
+    return new AuroraQuickAddParser({ locale, weekStart }).parse(input, { today });
+}
+
+function day(result) {
+    const { date } = result;
+    return date && [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-');
+}
+
+test('relative dates', () => {
+    assert.strictEqual(day(parse('call today')), '2026-10-19');
+    assert.strictEqual(day(parse('call tomorrow')), '2026-10-20');
+    assert.strictEqual(day(parse('call tmrw')), '2026-10-20');
+    assert.strictEqual(day(parse('call day after tomorrow')), '2026-10-21');
+    assert.strictEqual(day(parse('call in 3 days')), '2026-10-22');
+    assert.strictEqual(day(parse('call in 2 weeks')), '2026-11-2');
+    assert.strictEqual(day(parse('call in a month')), '2026-11-19');
+    assert.strictEqual(day(parse('call next week')), '2026-10-26');
+    assert.strictEqual(day(parse('call next week', 'en-US', 0)), '2026-10-25');
+    assert.strictEqual(day(parse('call next month')), '2026-11-1');
+});
+
+test('weekday and month names', () => {
+    assert.strictEqual(day(parse('report fri')), '2026-10-23');
+    assert.strictEqual(day(parse('report friday')), '2026-10-23');
+    assert.strictEqual(day(parse('report next fri')), '2026-10-30');
+    assert.strictEqual(day(parse('call mom on Oct 24')), '2026-10-24');
+    assert.strictEqual(day(parse('renew passport 3rd of march')), '2027-3-3');
+});
+
+test('bare weekday abbreviations only count after on/by/due/next or at the end', () => {
+    const cream = parse('sun cream');
+    assert.strictEqual(cream.date, null);
+    assert.strictEqual(cream.text, 'sun cream');
+
+    const prep = parse('sat exam prep');
+    assert.strictEqual(prep.date, null);
+    assert.strictEqual(prep.text, 'sat exam prep');
+
+    assert.strictEqual(day(parse('exam prep sat')), '2026-10-24');
+    assert.strictEqual(day(parse('exam on sat prep')), '2026-10-24');
+    assert.strictEqual(day(parse('monday meeting')), '2026-10-19');
+});
+
+test('numeric dates follow the locale day/month order', () => {
+    assert.strictEqual(day(parse('dentist 11/10', 'en-US')), '2026-11-10');
+    assert.strictEqual(day(parse('dentist 10/11', 'en-GB')), '2026-11-10');
+    assert.strictEqual(day(parse('dentist 10.11.', 'de-DE')), '2026-11-10');
+    assert.strictEqual(day(parse('dentist 10.11.2027', 'de-DE')), '2027-11-10');
+});
+
+test('decimals, versions and times are not dates', () => {
+    ['buy 2.5 kg apples', 'upgrade to node 1.2', 'meeting 10.30'].forEach(input => {
+        const result = parse(input);
+        assert.strictEqual(result.date, null, input);
+        assert.strictEqual(result.text, input);
+    });
+    assert.strictEqual(parse('Version 1.2', 'de-DE').date, null);
+});
+
+test('relative dates in the parser locale', () => {
+    const result = parse('sport morgen', 'de-DE');
+    assert.strictEqual(result.text, 'sport');
+    assert.strictEqual(day(result), '2026-10-20');
+
+    assert.strictEqual(day(parse('sport übermorgen', 'de-DE')), '2026-10-21');
+    assert.strictEqual(day(parse('sport in 3 Tagen', 'de-DE')), '2026-10-22');
+    assert.strictEqual(day(parse('sport nächste Woche', 'de-DE')), '2026-10-26');
+    assert.strictEqual(day(parse('sport tomorrow', 'de-DE')), '2026-10-20');
+    assert.strictEqual(day(parse('pagar pasado mañana', 'es-ES')), '2026-10-21');
+});
+
+test('tags, project and priority', () => {
+    const result = parse('report #Work @acme !p1 #work #q4');
+    assert.strictEqual(result.text, 'report');
+    assert.deepStrictEqual(result.tags, ['work', 'q4']);
+    assert.strictEqual(result.project, 'acme');
+    assert.strictEqual(result.priority, 1);
+
+    assert.strictEqual(parse('fix bug !3').priority, 3);
+    assert.strictEqual(parse('email a#b').tags.length, 0);
+});
+
+test('estimates', () => {
+    assert.strictEqual(parse('report 30m').estimate, 30);
+    assert.strictEqual(parse('report 45 min').estimate, 45);
+    assert.strictEqual(parse('report 2h').estimate, 120);
+    assert.strictEqual(parse('report 1.5 hours').estimate, 90);
+    assert.strictEqual(parse('report 1h 30m').estimate, 90);
+
+    const rope = parse('buy 2 m of rope');
+    assert.strictEqual(rope.estimate, null);
+    assert.strictEqual(rope.text, 'buy 2 m of rope');
+});
+
+test('recurrence', () => {
+    assert.strictEqual(parse('read every day').recurrence.freq, 'daily');
+    assert.strictEqual(parse('read every weekday').recurrence.freq, 'weekdays');
+    assert.deepStrictEqual(parse('gym every mon, wed').recurrence.weekdays, [1, 3]);
+    assert.deepStrictEqual(parse('water plants every week').recurrence.weekdays, [1]);
+
+    const rent = parse('pay rent every month on the 1st');
+    assert.strictEqual(rent.text, 'pay rent');
+    assert.strictEqual(rent.recurrence.freq, 'monthly');
+    assert.strictEqual(rent.recurrence.monthDay, 1);
+
+    assert.strictEqual(parse('invoice every month').recurrence.monthDay, 19);
+});
+
+test('quoted text is never parsed', () => {
+    const result = parse('watch "tomorrow never dies" fri');
+    assert.strictEqual(result.text, 'watch tomorrow never dies');
+    assert.strictEqual(day(result), '2026-10-23');
+});
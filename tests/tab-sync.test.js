@@ -0,0 +1,158 @@
+// Run with: node --test tests/
+// Loads script.js without a DOM and wires tracker instances together through an in-memory channel
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+const memoryStore = () => {
+    const store = new Map();
+    return { getItem: key => (store.has(key) ? store.get(key) : null), setItem: (key, value) => store.set(key, String(value)) };
+};
+const context = vm.createContext({
+    window: {},
+    document: { addEventListener() {} },
+    sessionStorage: memoryStore(),
+    localStorage: memoryStore(),
+    console
+});
+const AuroraTaskTracker = vm.runInContext(`${source}\n;AuroraTaskTracker`, context);
+
+// Delivered asynchronously like a BroadcastChannel; settle() waits until no message is in flight
+let pending = 0;
+const tabs = [];
+function createTab() {
+    const tab = Object.create(AuroraTaskTracker.prototype);
+    Object.assign(tab, {
+        tasks: {},
+        recurringTasks: [],
+        templates: [],
+        weeklyReviews: [],
+        activities: [],
+        history: { undo: [], redo: [] },
+        activeCommand: null,
+        materializedDates: new Set(),
+        syncedStamps: new Map(),
+        syncedCollections: new Map(),
+        syncReady: true,
+        storage: { putDay() {}, putMeta() {}, putActivities() {}, addActivity() {} },
+        elements: { weeklyReviewModal: { style: {} }, templatesModal: { style: {} } },
+        syncChannel: {
+            postMessage: (message) => {
+                const copy = JSON.parse(JSON.stringify(message));
+                tabs.filter(other => other !== tab).forEach(other => {
+                    pending++;
+                    setImmediate(() => {
+                        pending--;
+                        other.handleSyncMessage(copy);
+                    });
+                });
+            }
+        }
+    });
+    ['invalidateSearchIndex', 'queueReminderCheck', 'updateStatistics', 'updateWeekProgress',
+        'renderCalendar', 'refreshDays', 'showMessage', 'updateRecentActivity'].forEach(name => {
+        tab[name] = () => {};
+    });
+    tab.isDateVisible = () => false;
+    tabs.push(tab);
+    return tab;
+}
+
+async function settle() {
+    do {
+        await new Promise(resolve => setImmediate(resolve));
+    } while (pending > 0);
+}
+
+let nextId = 1;
+function addTask(tab, dateKey, text) {
+    const command = tab.beginCommand('Add task', [dateKey]);
+    const task = { id: nextId++, text, status: 'pending', createdAt: new Date(Date.now() + nextId).toISOString(), updatedAt: null };
+    tab.tasks[dateKey] = [...(tab.tasks[dateKey] || []), task];
+    tab.saveTasks(dateKey);
+    tab.commitCommand(command);
+    return task;
+}
+
+// Joined, since arrays built inside the vm context don't deepEqual ones built here
+const texts = (tab, dateKey) => (tab.tasks[dateKey] || []).map(task => task.text).join(', ');
+
+test('undo in one tab keeps a task another tab added to the same day', async () => {
+    tabs.length = 0;
+    const a = createTab();
+    const b = createTab();
+    const monday = '2026-10-19';
+
+    addTask(a, monday, 'X');
+    await settle();
+    addTask(b, monday, 'Y');
+    await settle();
+    assert.strictEqual(texts(a, monday), 'X, Y');
+
+    assert.strictEqual(a.undo(), true);
+    await settle();
+    assert.strictEqual(texts(a, monday), 'Y');
+    assert.strictEqual(texts(b, monday), 'Y');
+
+    assert.strictEqual(a.redo(), true);
+    await settle();
+    assert.strictEqual(texts(a, monday), 'X, Y');
+    assert.strictEqual(texts(b, monday), 'X, Y');
+});
+
+test('a deleted occurrence stays deleted while another tab edits a series', async () => {
+    tabs.length = 0;
+    const a = createTab();
+    const b = createTab();
+    const monday = '2026-10-19';
+    const created = '2026-10-01T09:00:00.000Z';
+    const series = [
+        { id: 1, text: 'Stretch', rule: { freq: 'daily' }, startDate: '2026-10-01', exceptions: [], details: {}, createdAt: created, updatedAt: null },
+        { id: 2, text: 'Read', rule: { freq: 'daily' }, startDate: '2026-10-01', exceptions: [], details: {}, createdAt: created, updatedAt: null }
+    ];
+    const occurrence = { id: 10, text: 'Stretch', seriesId: 1, status: 'pending', createdAt: created, updatedAt: null };
+    [a, b].forEach(tab => {
+        tab.recurringTasks = JSON.parse(JSON.stringify(series));
+        tab.tasks[monday] = [{ ...occurrence }];
+        tab.rememberSyncedDays([monday]);
+        tab.rememberSyncedCollection('recurring');
+    });
+
+    // Both changes are made before either tab hears about the other
+    a.deleteTask(a.parseDateKey(monday), occurrence.id);
+    const read = b.getSeries(2);
+    read.text = 'Read a chapter';
+    read.updatedAt = new Date().toISOString();
+    b.saveRecurringTasks();
+    await settle();
+
+    [a, b].forEach(tab => {
+        assert.strictEqual(tab.getSeries(1).exceptions.join(), monday);
+        assert.strictEqual(tab.getSeries(2).text, 'Read a chapter');
+        assert.strictEqual(texts(tab, monday), '');
+    });
+});
+
+test('a template deleted in one tab is deleted in the other', async () => {
+    tabs.length = 0;
+    const a = createTab();
+    const b = createTab();
+    const now = new Date().toISOString();
+
+    a.templates.push({ id: 1, name: 'Workday', tasks: [], createdAt: now, updatedAt: now });
+    a.saveTemplates();
+    await settle();
+    b.templates.push({ id: 2, name: 'Weekend', tasks: [], createdAt: now, updatedAt: now });
+    b.saveTemplates();
+    await settle();
+    assert.strictEqual(a.templates.map(template => template.name).join(', '), 'Workday, Weekend');
+
+    a.templates = a.templates.filter(template => template.id !== 1);
+    a.saveTemplates();
+    await settle();
+    assert.strictEqual(b.templates.map(template => template.name).join(', '), 'Weekend');
+    assert.strictEqual(a.templates.map(template => template.name).join(', '), 'Weekend');
+});